@@ -1,15 +1,12 @@
 // app.js
 // Main Express application for Movie Rating Site
-// Features: SSR with Handlebars, SQLite DB, Auth, File Upload, Likes/Favorites, Filtering
+// Features: SSR with Handlebars, SQLite DB, Auth, File Upload, Likes/Favorites, Ratings, Reviews, Filtering
 
 import 'dotenv/config';
 import express from 'express';
 import { engine } from 'express-handlebars';
 import session from 'express-session';
 import bcrypt from 'bcrypt';
-import multer from 'multer';
-import crypto from 'node:crypto';
-import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
@@ -33,11 +30,100 @@ import {
   getUserLikedIds,
   listContentsFiltered,
   listAuthors,
+  getUserRating,
+  upsertRating,
+  removeRating,
+  getRatingStats,
+  listReviewsForContent,
+  getReviewById,
+  getUserReview,
+  createReview,
+  updateReview,
+  deleteReviewById,
+  setReviewHidden,
+  listReviewRevisions,
+  createApiToken,
+  listApiTokensOfUser,
+  revokeApiToken,
+  getUserById,
+  countActiveAdmins,
+  updateUserRole,
+  setUserDisabled,
+  deleteUser,
+  getUserPasswordHash,
+  updateUserName,
+  updateUserEmail,
+  updateUserPassword,
+  markEmailVerified,
+  listCategories,
+  getCategoryBySlug,
+  getCategoryById,
+  createCategory,
+  updateCategoryLabel,
+  moveCategory,
+  setCategoryRetired,
+  getTagBySlug,
+  listDirectors,
+  isMemoryDatabase,
+  listAuthAttempts,
+  listAuditEvents,
+  listAuditActors,
+  listSessionsOfUser,
+  deleteSessionsOfUser,
+  getTwoFactorState,
+  disableTwoFactor,
 } from './db/index.js';
 
 // Helper imports
-import formatDate from './helpers/formatDate.js';
-import slugify from './helpers/slugify.js';
+import formatDate, { formatDateTime } from './helpers/formatDate.js';
+import highlight from './helpers/highlight.js';
+import paginate from './helpers/pagination.js';
+import describeUserAgent from './helpers/userAgent.js';
+
+// Shared modules
+import { ROLES, API_TOKEN_SCOPES, PAGE_SIZE, TWO_FACTOR_ROLES, TWO_FACTOR_LOGIN_TTL_MINUTES } from './lib/constants.js';
+import { can } from './lib/permissions.js';
+import { csrfProtection } from './lib/csrf.js';
+import { SqliteSessionStore } from './lib/sessionStore.js';
+import {
+  generateTotpSecret,
+  setupData,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  renewRecoveryCodes,
+  getRequiredTwoFactorRoles,
+  setRequiredTwoFactorRoles,
+  isTwoFactorRequired,
+} from './lib/twoFactor.js';
+import { checkLoginThrottle, checkRegisterThrottle, recordAttempt, listLoginLockouts, AUTH_OUTCOME_LABELS } from './lib/authThrottle.js';
+import {
+  auditContentCreated,
+  auditContentUpdated,
+  auditContentDeleted,
+  auditUserAction,
+  auditChanges,
+  AUDIT_ACTION_LABELS,
+} from './lib/audit.js';
+import { uploadImage, uploadWebPath, discardUpload, removeImage, uploadCatalogFile } from './lib/upload.js';
+import { getFile } from './lib/storage.js';
+import {
+  validateContentInput,
+  validateReviewBody,
+  validateNewPassword,
+  validateCategoryInput,
+  parseTagInput,
+  parseMetadataInput,
+  parseListQuery,
+  parsePagination,
+} from './lib/validation.js';
+import { generateApiToken, hashApiToken } from './lib/apiTokens.js';
+import { issueUserToken, peekUserToken, redeemUserToken } from './lib/userTokens.js';
+import { sendMail } from './lib/mailer.js';
+import { CATALOG_FORMATS, exportCatalog, importCatalog, detectCatalogFormat } from './lib/catalog.js';
+import { listBackups, createBackup, backupFilePath } from './lib/backup.js';
+
+// Routers
+import apiRouter, { apiErrorHandler } from './routes/api.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -45,13 +131,17 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Categories for movies
-const CATEGORIES = ['sifi', 'krimi', 'horror', 'komoedie'];
-
 // ========================================
 // MIDDLEWARE SETUP
 // ========================================
 
+// Client IP behind a reverse proxy (used by the login throttling): TRUST_PROXY=1 (number of proxies),
+// true, loopback or a list of proxy addresses (see Express "trust proxy")
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
+
 // Parse URL-encoded bodies and JSON
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
@@ -59,37 +149,17 @@ app.use(express.json());
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Upload directory setup
-const uploadDir = path.join(__dirname, 'public', 'uploads');
-fs.mkdirSync(uploadDir, { recursive: true });
-
-// Multer storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname || '').toLowerCase();
-    const allowed = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
-    const safeExt = allowed.includes(ext) ? ext : '.bin';
-    const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${safeExt}`;
-    cb(null, name);
-  },
-});
-
-// File filter - only allow images
-function fileFilter(req, file, cb) {
-  const ok = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'].includes(file.mimetype);
-  cb(ok ? null : new Error('Nur Bilddateien (jpg, png, webp, gif) erlaubt.'), ok);
-}
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
+// Uploaded files that are not on local disk (other storage drivers, UPLOAD_DIR outside public/)
+app.get('/uploads/:key', async (req, res, next) => {
+  const file = await getFile(req.params.key);
+  if (!file) return next();
+  res.set('Cache-Control', 'public, max-age=31536000, immutable').type(file.contentType).send(file.body);
 });
 
-// Session middleware
+// Session middleware (sessions are stored in the database, see lib/sessionStore.js)
 app.use(
   session({
+    store: new SqliteSessionStore(),
     secret: process.env.SESSION_SECRET || 'dev-secret-change-me',
     resave: false,
     saveUninitialized: false,
@@ -98,11 +168,42 @@ app.use(
 );
 
 // Make currentUser available to all views
+// The session copy is refreshed from the DB so role changes and disabled accounts apply immediately
 app.use((req, res, next) => {
+  if (req.session.user) {
+    const fresh = getUserById(req.session.user.id);
+    if (!fresh || fresh.disabled) {
+      delete req.session.user;
+    } else if (
+      fresh.role !== req.session.user.role ||
+      fresh.name !== req.session.user.name ||
+      fresh.email !== req.session.user.email
+    ) {
+      req.session.user = { id: fresh.id, name: fresh.name, email: fresh.email, role: fresh.role };
+    }
+  }
   res.locals.currentUser = req.session.user || null;
   next();
 });
 
+// CSRF token for all forms, checked on every POST/PUT/PATCH/DELETE request (see lib/csrf.js)
+app.use(csrfProtection);
+
+// Users whose role requires 2FA (see lib/twoFactor.js) can do nothing but set it up until it is active
+app.use((req, res, next) => {
+  const user = req.session.user;
+  if (!user || !isTwoFactorRequired(user)) return next();
+  if (['/me/2fa', '/logout'].some((p) => req.path === p || req.path.startsWith(`${p}/`))) return next();
+  if (req.path.startsWith('/api/') && req.get('authorization')) return next();
+  if (getUserById(user.id)?.twoFactorEnabled) return next();
+  
+  if (req.path.startsWith('/api/')) {
+    const message = 'Für deine Rolle ist die Zwei-Faktor-Authentifizierung Pflicht. Richte sie unter /me/2fa ein.';
+    return res.status(403).json({ error: { status: 403, code: 'two_factor_required', message } });
+  }
+  res.redirect('/me/2fa');
+});
+
 // Canonical lowercase redirect for /content routes
 app.use((req, res, next) => {
   const orig = req.path;
@@ -129,7 +230,11 @@ app.engine(
       upper: (s) => String(s ?? '').toUpperCase(),
       lower: (s) => String(s ?? '').toLowerCase(),
       formatDate,
+      formatDateTime,
       encodeURIComponent: (v) => encodeURIComponent(String(v ?? '')),
+      formatRating: (n) => (n == null ? '–' : Number(n).toFixed(1)),
+      highlight,
+      srcset: (variants) => (variants || []).map((v) => `${v.path} ${v.width}w`).join(', '),
 
       // Comparison & Logic helpers
       eq: (a, b) => a === b,
@@ -149,11 +254,12 @@ app.engine(
       decrement: (n) => Number(n) - 1,
       length: (v) => (Array.isArray(v) || typeof v === 'string' ? v.length : 0),
 
-      // Permission helper
-      canEdit(item, currentUser) {
-        if (!currentUser || !item) return false;
-        return currentUser.role === 'admin' || item.ownerId === currentUser.id;
-      },
+      // Permission helpers (see lib/permissions.js)
+      // Without an item, Handlebars passes its options object as third argument
+      can: (currentUser, action, item) => can(currentUser, action, item?.hash ? null : item),
+      canEdit: (item, currentUser) => can(currentUser, 'content.edit', item),
+      canDelete: (item, currentUser) => can(currentUser, 'content.delete', item),
+      canModerate: (currentUser) => can(currentUser, 'review.moderate'),
 
       // Date helper
       now: () => new Date(),
@@ -179,21 +285,41 @@ function requireAuth(req, res, next) {
 }
 
 /**
- * Require user to be owner or admin
+ * Require user to be allowed to perform an action (see lib/permissions.js)
+ * Owner-based actions are checked against res.locals.item
  */
-function requireOwnerOrAdmin(req, res, next) {
-  const { item } = res.locals;
-  const user = req.session.user;
-  
-  if (!user) {
-    return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
-  }
-  
-  if (user.role === 'admin' || (item && item.ownerId === user.id)) {
-    return next();
-  }
-  
-  return res.status(403).render('error', { title: '403 – Kein Zugriff', message: 'Du hast keine Berechtigung für diese Aktion.' });
+function requirePermission(action) {
+  return (req, res, next) => {
+    const user = req.session.user;
+    
+    if (!user) {
+      return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+    }
+    
+    if (can(user, action, res.locals.item)) return next();
+    
+    return res.status(403).render('error', { title: '403 – Kein Zugriff', message: 'Du hast keine Berechtigung für diese Aktion.' });
+  };
+}
+
+/**
+ * Give the request a new session id (prevents session fixation); the session data is discarded
+ */
+function regenerateSession(req) {
+  return new Promise((resolve, reject) => req.session.regenerate((err) => (err ? reject(err) : resolve())));
+}
+
+/**
+ * Log a user in: store the user and the device (for /me/sessions) in the session
+ */
+function startUserSession(req, user) {
+  req.session.user = {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+  };
+  req.session.device = { userAgent: req.get('user-agent')?.slice(0, 300) ?? null, ip: req.ip };
 }
 
 // ========================================
@@ -205,13 +331,19 @@ app.get('/', (req, res) => {
   const allItems = listContents();
   
   // Group by category (max 3 per category)
-  const groups = CATEGORIES.map((cat) => {
-    const items = allItems.filter((i) => i.category === cat).slice(0, 3);
-    return { category: cat, items };
+  const groups = listCategories().map((cat) => {
+    const items = allItems.filter((i) => i.category === cat.slug).slice(0, 3);
+    return { category: cat.label, slug: cat.slug, items };
   }).filter((g) => g.items.length > 0);
   
-  // Top rated (by likes)
-  const topRated = [...allItems]
+  // Top rated (by average rating, ties broken by number of ratings)
+  const topRated = allItems
+    .filter((i) => i.ratingCount > 0)
+    .sort((a, b) => b.avgRating - a.avgRating || b.ratingCount - a.ratingCount)
+    .slice(0, 3);
+  
+  // Most liked
+  const mostLiked = [...allItems]
     .sort((a, b) => b.likeCount - a.likeCount)
     .slice(0, 3);
   
@@ -219,6 +351,8 @@ app.get('/', (req, res) => {
     title: 'Movie Rating App',
     groups,
     topRated,
+    mostLiked,
+    memoryDatabase: isMemoryDatabase(),
   });
 });
 
@@ -227,16 +361,6 @@ app.get('/about', (req, res) => {
   res.render('about', { title: 'Über uns' });
 });
 
-// Users list (protected)
-app.get('/users', requireAuth, (req, res) => {
-  try {
-    const users = getAllUsers();
-    res.render('users', { title: 'Benutzer', users });
-  } catch (err) {
-    console.error('[/users] Fehler:', err);
-    res.status(500).render('error', { title: 'Fehler', message: 'Fehler beim Laden der Benutzer' });
-  }
-});
 
 // ========================================
 // ROUTES - AUTHENTICATION
@@ -252,16 +376,26 @@ app.post('/register', async (req, res) => {
   const { name, email, password, password_confirm } = req.body || {};
   const errors = [];
   
+  const throttled = checkRegisterThrottle(req);
+  if (throttled) {
+    recordAttempt(req, { kind: 'register', outcome: 'blocked', email: email?.trim().toLowerCase() });
+    res.set('Retry-After', String(throttled.retryAfter));
+    return res.status(429).render('register', {
+      title: 'Registrieren',
+      errors: [throttled.message],
+      values: { name, email },
+    });
+  }
+  
   if (!name?.trim()) errors.push('Name ist erforderlich.');
   if (!email?.trim()) errors.push('E-Mail ist erforderlich.');
-  if (!password) errors.push('Passwort ist erforderlich.');
-  if (password !== password_confirm) errors.push('Passwörter stimmen nicht überein.');
-  if (password && password.length < 8) errors.push('Passwort muss mind. 8 Zeichen lang sein.');
+  errors.push(...validateNewPassword(password, password_confirm));
   
   const existing = email ? getUserByEmail(email.trim().toLowerCase()) : null;
   if (existing) errors.push('Diese E-Mail ist bereits registriert.');
   
   if (errors.length) {
+    recordAttempt(req, { kind: 'register', outcome: 'invalid', email: email?.trim().toLowerCase() });
     return res.status(400).render('register', {
       title: 'Registrieren',
       errors,
@@ -270,22 +404,22 @@ app.post('/register', async (req, res) => {
   }
   
   const passwordHash = await bcrypt.hash(password, 11);
-  const id = createUser({
-    name: name.trim(),
-    email: email.trim().toLowerCase(),
-    passwordHash,
-    role: 'user',
-  });
-  
-  // Auto-login after registration
-  req.session.user = {
-    id,
+  const user = {
     name: name.trim(),
     email: email.trim().toLowerCase(),
-    role: 'user',
   };
+  user.id = createUser({ ...user, passwordHash, role: 'user' });
+  recordAttempt(req, { kind: 'register', outcome: 'success', email: user.email, userId: user.id });
+  auditUserAction(req, 'user.register', user, { after: { name: user.name, email: user.email }, actor: user });
   
-  res.redirect('/content');
+  // Login is possible once the email address is confirmed
+  await sendVerificationMail(req, user);
+  
+  res.status(201).render('email_verify', {
+    title: 'E-Mail bestätigen',
+    notice: `Fast geschafft! Wir haben dir einen Bestätigungslink an ${user.email} geschickt.`,
+    values: { email: user.email },
+  });
 });
 
 // Login page
@@ -303,9 +437,21 @@ app.post('/login', async (req, res) => {
     return res.status(400).render('login', { title: 'Login', errors, values: { email } });
   }
   
-  const user = getUserByEmail(email.trim().toLowerCase());
+  const normalizedEmail = email.trim().toLowerCase();
+  
+  // Refused before the password is compared (see lib/authThrottle.js)
+  const throttled = checkLoginThrottle(req, normalizedEmail);
+  if (throttled) {
+    recordAttempt(req, { kind: 'login', outcome: 'blocked', email: normalizedEmail });
+    res.set('Retry-After', String(throttled.retryAfter));
+    errors.push(throttled.message);
+    return res.status(429).render('login', { title: 'Login', errors, values: { email } });
+  }
+  
+  const user = getUserByEmail(normalizedEmail);
   
   if (!user || !user.password_hash) {
+    recordAttempt(req, { kind: 'login', outcome: 'invalid_credentials', email: normalizedEmail });
     errors.push('E-Mail oder Passwort ist falsch.');
     return res.status(401).render('login', { title: 'Login', errors, values: { email } });
   }
@@ -313,139 +459,520 @@ app.post('/login', async (req, res) => {
   const ok = await bcrypt.compare(password, user.password_hash);
   
   if (!ok) {
+    recordAttempt(req, { kind: 'login', outcome: 'invalid_credentials', email: normalizedEmail, userId: user.id });
     errors.push('E-Mail oder Passwort ist falsch.');
     return res.status(401).render('login', { title: 'Login', errors, values: { email } });
   }
   
-  req.session.user = {
-    id: user.id,
-    name: user.name,
-    email: user.email,
-    role: user.role,
-  };
+  if (user.disabled_at) {
+    recordAttempt(req, { kind: 'login', outcome: 'disabled', email: normalizedEmail, userId: user.id });
+    errors.push('Dieses Konto wurde deaktiviert.');
+    return res.status(403).render('login', { title: 'Login', errors, values: { email } });
+  }
+  
+  if (!user.email_verified_at) {
+    recordAttempt(req, { kind: 'login', outcome: 'unverified', email: normalizedEmail, userId: user.id });
+    errors.push('Bitte bestätige zuerst deine E-Mail-Adresse.');
+    return res.status(403).render('login', { title: 'Login', errors, unverified: true, values: { email } });
+  }
   
   const redirectTo = nextUrl && /^\/[^\s]*$/.test(nextUrl) ? nextUrl : '/content';
+  
+  // New session id on login (prevents session fixation)
+  await regenerateSession(req);
+  
+  // With 2FA the login is completed on /login/2fa
+  if (user.totp_enabled_at) {
+    req.session.pendingLogin = {
+      userId: user.id,
+      email: normalizedEmail,
+      next: redirectTo,
+      expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MINUTES * 60 * 1000,
+    };
+    return res.redirect('/login/2fa');
+  }
+  
+  recordAttempt(req, { kind: 'login', outcome: 'success', email: normalizedEmail, userId: user.id });
+  startUserSession(req, user);
+  auditUserAction(req, 'auth.login', user, { after: { method: 'Passwort' } });
   res.redirect(redirectTo);
 });
 
+/**
+ * Pending login after a correct password, or null if there is none or it has expired
+ */
+function pendingLogin(req) {
+  const pending = req.session.pendingLogin;
+  if (pending && pending.expiresAt > Date.now()) return pending;
+  delete req.session.pendingLogin;
+  return null;
+}
+
+// Second login step: TOTP or recovery code
+app.get('/login/2fa', (req, res) => {
+  if (!pendingLogin(req)) return res.redirect('/login');
+  res.render('login_2fa', { title: 'Bestätigungscode' });
+});
+
+app.post('/login/2fa', (req, res) => {
+  const pending = pendingLogin(req);
+  if (!pending) {
+    return res.status(400).render('login', {
+      title: 'Login',
+      errors: ['Die Anmeldung ist abgelaufen. Bitte melde dich erneut an.'],
+    });
+  }
+  
+  // Wrong codes count like wrong passwords (see lib/authThrottle.js)
+  const throttled = checkLoginThrottle(req, pending.email);
+  if (throttled) {
+    recordAttempt(req, { kind: 'login', outcome: 'blocked', email: pending.email, userId: pending.userId });
+    res.set('Retry-After', String(throttled.retryAfter));
+    return res.status(429).render('login_2fa', { title: 'Bestätigungscode', errors: [throttled.message] });
+  }
+  
+  const user = getUserById(pending.userId);
+  if (!user || user.disabled) {
+    delete req.session.pendingLogin;
+    return res.redirect('/login');
+  }
+  
+  const factor = verifySecondFactor(user.id, req.body?.code);
+  if (!factor) {
+    recordAttempt(req, { kind: 'login', outcome: 'invalid_second_factor', email: pending.email, userId: user.id });
+    return res.status(401).render('login_2fa', { title: 'Bestätigungscode', errors: ['Der Code ist ungültig oder wurde schon verwendet.'] });
+  }
+  
+  recordAttempt(req, { kind: 'login', outcome: 'success', email: pending.email, userId: user.id });
+  delete req.session.pendingLogin;
+  startUserSession(req, user);
+  auditUserAction(req, 'auth.login', user, {
+    after: { method: factor === 'totp' ? 'Passwort + App-Code' : 'Passwort + Wiederherstellungscode' },
+  });
+  res.redirect(pending.next);
+});
+
 // Logout handler
 app.post('/logout', (req, res) => {
   req.session.destroy(() => res.redirect('/'));
 });
 
 // ========================================
-// ROUTES - CONTENT LISTING & FILTERING
+// ROUTES - PASSWORD RESET & EMAIL VERIFICATION
 // ========================================
 
-// Content list with filtering and sorting
-app.get('/content', (req, res) => {
-  const { category = '', author = '', sort = 'newest' } = req.query || {};
+/**
+ * Absolute URL for links in mails
+ * APP_URL should be set in production, otherwise the (client-controlled) Host header is used
+ */
+function absoluteUrl(req, pathname) {
+  const base = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return base.replace(/\/+$/, '') + pathname;
+}
+
+/**
+ * Send a mail without failing the request; errors are only logged
+ */
+async function trySendMail(message) {
+  try {
+    await sendMail(message);
+  } catch (err) {
+    console.error('[mail] Versand fehlgeschlagen:', err.message);
+  }
+}
+
+/**
+ * Send a new email verification link
+ */
+function sendVerificationMail(req, user) {
+  const token = issueUserToken({ userId: user.id, purpose: 'email_verify' });
+  return trySendMail({
+    to: user.email,
+    subject: 'Bitte bestätige deine E-Mail-Adresse',
+    text: [
+      `Hallo ${user.name},`,
+      '',
+      'bitte bestätige deine E-Mail-Adresse für die Movie Rating App über diesen Link:',
+      absoluteUrl(req, `/email/verify/${token}`),
+      '',
+      'Der Link ist 24 Stunden gültig.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Send a password reset link
+ */
+function sendPasswordResetMail(req, user) {
+  const token = issueUserToken({ userId: user.id, purpose: 'password_reset' });
+  return trySendMail({
+    to: user.email,
+    subject: 'Passwort zurücksetzen',
+    text: [
+      `Hallo ${user.name},`,
+      '',
+      'über diesen Link kannst du ein neues Passwort für die Movie Rating App festlegen:',
+      absoluteUrl(req, `/password/reset/${token}`),
+      '',
+      'Der Link ist 60 Minuten gültig und kann nur einmal verwendet werden.',
+      'Falls du kein neues Passwort angefordert hast, kannst du diese E-Mail ignorieren.',
+    ].join('\n'),
+  });
+}
+
+// Forgot password form
+app.get('/password/forgot', (req, res) => {
+  res.render('password_forgot', { title: 'Passwort vergessen' });
+});
+
+// Request reset link – the response does not reveal whether the address is registered
+app.post('/password/forgot', async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  
+  if (!email) {
+    return res.status(400).render('password_forgot', {
+      title: 'Passwort vergessen',
+      errors: ['E-Mail ist erforderlich.'],
+    });
+  }
+  
+  const user = getUserByEmail(email);
+  if (user && user.password_hash && !user.disabled_at) {
+    await sendPasswordResetMail(req, user);
+  }
+  
+  res.render('password_forgot', {
+    title: 'Passwort vergessen',
+    notice: 'Falls ein Konto mit dieser E-Mail-Adresse existiert, haben wir dir einen Link zum Zurücksetzen geschickt.',
+    values: { email },
+  });
+});
+
+// Reset form (only for valid links)
+app.get('/password/reset/:token', (req, res) => {
+  if (!peekUserToken(req.params.token, 'password_reset')) {
+    return res.status(400).render('password_forgot', {
+      title: 'Passwort vergessen',
+      errors: ['Der Link ist ungültig oder abgelaufen. Fordere einen neuen an.'],
+    });
+  }
+  res.render('password_reset', { title: 'Neues Passwort', token: req.params.token });
+});
+
+// Set new password
+app.post('/password/reset/:token', async (req, res) => {
+  const { token } = req.params;
+  const { password, password_confirm } = req.body || {};
+  const errors = validateNewPassword(password, password_confirm);
+  
+  if (errors.length) {
+    return res.status(400).render('password_reset', { title: 'Neues Passwort', token, errors });
+  }
+  
+  const passwordHash = await bcrypt.hash(password, 11);
+  const userId = redeemUserToken(token, 'password_reset');
+  
+  if (!userId) {
+    return res.status(400).render('password_forgot', {
+      title: 'Passwort vergessen',
+      errors: ['Der Link ist ungültig oder abgelaufen. Fordere einen neuen an.'],
+    });
+  }
+  
+  updateUserPassword({ id: userId, passwordHash });
+  deleteSessionsOfUser({ userId });
+  // The link arrived by mail, so the address is confirmed as well
+  markEmailVerified(userId);
+  const user = getUserById(userId);
+  auditUserAction(req, 'user.password_reset', user, { actor: user });
+  
+  res.render('login', {
+    title: 'Login',
+    notice: 'Dein Passwort wurde geändert. Du kannst dich jetzt einloggen.',
+  });
+});
+
+// Confirm email address
+app.get('/email/verify/:token', (req, res) => {
+  const userId = redeemUserToken(req.params.token, 'email_verify');
+  
+  if (!userId) {
+    return res.status(400).render('email_verify', {
+      title: 'E-Mail bestätigen',
+      errors: ['Der Bestätigungslink ist ungültig oder abgelaufen. Fordere unten einen neuen an.'],
+    });
+  }
+  
+  markEmailVerified(userId);
+  
+  res.render('login', {
+    title: 'Login',
+    notice: 'Deine E-Mail-Adresse ist bestätigt. Du kannst dich jetzt einloggen.',
+  });
+});
+
+// Request a new verification link
+app.get('/email/verify', (req, res) => {
+  res.render('email_verify', { title: 'E-Mail bestätigen', values: { email: req.query.email || '' } });
+});
+
+// Send a new verification link – the response does not reveal whether the address is registered
+app.post('/email/verify', async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
   
-  // Validate category
-  const validCategory = CATEGORIES.includes(category) ? category : '';
+  if (!email) {
+    return res.status(400).render('email_verify', {
+      title: 'E-Mail bestätigen',
+      errors: ['E-Mail ist erforderlich.'],
+    });
+  }
   
-  // Validate author ID
-  const authorId = Number(author);
-  const validAuthorId = Number.isInteger(authorId) && authorId > 0 ? authorId : null;
+  const user = getUserByEmail(email);
+  if (user && !user.email_verified_at && !user.disabled_at) {
+    await sendVerificationMail(req, user);
+  }
   
-  // Validate sort
-  const validSort = sort === 'likes' ? 'likes' : 'newest';
+  res.render('email_verify', {
+    title: 'E-Mail bestätigen',
+    notice: 'Falls ein unbestätigtes Konto mit dieser E-Mail-Adresse existiert, haben wir dir einen neuen Link geschickt.',
+    values: { email },
+  });
+});
+
+// ========================================
+// ROUTES - CONTENT LISTING & FILTERING
+// ========================================
+
+/**
+ * Render a content list with search, filters, sorting and pagination
+ * Used by /content and the tag pages (/tags/:slug), which fix one tag and keep their own path
+ */
+function renderContentList(req, res, { title, path: listPath, tag = null }) {
+  const {
+    q: validQ,
+    category: validCategory,
+    authorId: validAuthorId,
+    tags: queryTags,
+    year: validYear,
+    yearFrom,
+    yearTo,
+    director: validDirector,
+    sort: validSort,
+  } = parseListQuery(req.query || {});
+  const { page } = parsePagination(req.query || {}, { defaultLimit: PAGE_SIZE });
+  // On a tag page the page's own tag is implied and not repeated in the query
+  const extraTags = queryTags.filter((t) => t !== tag?.slug);
+  const validTags = tag ? [tag.slug, ...extraTags] : extraTags;
   
   // Load data
-  const items = listContentsFiltered({
+  const { items, total } = listContentsFiltered({
     category: validCategory || null,
     ownerId: validAuthorId || null,
+    tags: validTags,
+    yearFrom,
+    yearTo,
+    director: validDirector || null,
+    q: validQ || null,
     sort: validSort,
+    limit: PAGE_SIZE,
+    page,
+  });
+  
+  const pagination = paginate({
+    page,
+    limit: PAGE_SIZE,
+    total,
+    path: listPath,
+    query: {
+      q: validQ,
+      category: validCategory,
+      author: validAuthorId,
+      tag: extraTags,
+      year: validYear,
+      director: validDirector,
+      sort: req.query?.sort ? validSort : '',
+    },
   });
   
+  // Page out of range -> last page
+  if (page > pagination.pageCount) {
+    return res.redirect(pagination.pages.at(-1)?.url || listPath);
+  }
+  
   const authors = listAuthors();
+  const directors = listDirectors();
   
   res.render('content_list', {
-    title: 'Filme',
+    title,
+    listPath,
+    tag,
     items,
-    categories: CATEGORIES,
+    total,
+    pagination,
+    categories: categoryOptions(validCategory),
     authors,
+    directors,
+    q: validQ,
     selectedCategory: validCategory,
     selectedAuthorId: validAuthorId,
+    selectedTags: extraTags,
+    selectedYear: validYear,
+    selectedDirector: validDirector,
     selectedSort: validSort,
-    hasFilterActive: !!(validCategory || validAuthorId || validSort === 'likes'),
+    hasFilterActive: !!(
+      validQ || validCategory || validAuthorId || extraTags.length
+      || validYear || validDirector || validSort !== 'newest'
+    ),
   });
+}
+
+// Content list with search, filtering and sorting
+app.get('/content', (req, res) => {
+  renderContentList(req, res, { title: 'Filme', path: '/content' });
+});
+
+// Contents with a tag (combinable with the same filters as /content)
+app.get('/tags/:slug', (req, res, next) => {
+  const tag = getTagBySlug(req.params.slug);
+  if (!tag) return next();
+  
+  renderContentList(req, res, { title: `Tag: ${tag.name}`, path: `/tags/${tag.slug}`, tag });
 });
 
 // ========================================
 // ROUTES - CONTENT CRUD
 // ========================================
 
+/**
+ * Metadata form field values, from a stored content or from the submitted form (re-render after errors)
+ */
+function metadataFormValues(source = {}) {
+  const names = (value, separator) => Array.isArray(value)
+    ? value.map((p) => p.name).join(separator)
+    : value ?? '';
+  
+  return {
+    year: source.releaseYear ?? source.year ?? '',
+    runtime: source.runtimeMinutes ?? source.runtime ?? '',
+    country: source.country ?? '',
+    language: source.language ?? '',
+    directors: names(source.directors, ', '),
+    cast: names(source.cast, '\n'),
+  };
+}
+
+/**
+ * Categories for dropdowns: all active ones plus the given (possibly retired) current one
+ */
+function categoryOptions(current = null) {
+  const categories = listCategories();
+  if (current && !categories.some((c) => c.slug === current)) {
+    const cat = getCategoryBySlug(current);
+    if (cat) categories.push(cat);
+  }
+  return categories;
+}
+
 // New content form (protected)
-app.get('/content/new', requireAuth, (req, res) => {
+app.get('/content/new', requirePermission('content.create'), (req, res) => {
   res.render('content_new', {
     title: 'Neuer Film',
-    categories: CATEGORIES,
+    categories: categoryOptions(),
   });
 });
 
 // Create content handler
-app.post('/content', requireAuth, upload.single('image'), (req, res) => {
-  const { title, description, category } = req.body || {};
-  const errors = [];
-  
-  if (!title?.trim()) errors.push('Titel ist erforderlich.');
-  if (!description?.trim()) errors.push('Beschrieb ist erforderlich.');
-  if (!CATEGORIES.includes(category)) errors.push('Ungültige Kategorie.');
-  if (!req.file) errors.push('Bild ist erforderlich.');
+app.post('/content', requirePermission('content.create'), uploadImage, (req, res) => {
+  const { title, description, category, tags: tagInput } = req.body || {};
+  const { tags, errors: tagErrors } = parseTagInput(tagInput);
+  const { metadata, errors: metadataErrors } = parseMetadataInput(req.body || {});
+  const errors = [
+    ...validateContentInput(
+      { title, description, category },
+      { requireImage: true, hasImage: !!req.file }
+    ),
+    ...metadataErrors,
+    ...tagErrors,
+  ];
   
   if (errors.length) {
     // Clean up uploaded file if validation failed
-    if (req.file) {
-      try {
-        fs.unlinkSync(path.join(uploadDir, req.file.filename));
-      } catch { /* ignore */ }
-    }
+    discardUpload(req.file);
     return res.status(400).render('content_new', {
       title: 'Neuer Film',
-      categories: CATEGORIES,
+      categories: categoryOptions(),
       errors,
-      values: { title, description, category },
+      values: { title, description, category, tags: tagInput },
+      metadata: metadataFormValues(req.body),
     });
   }
   
-  const webPath = '/uploads/' + req.file.filename;
+  const webPath = uploadWebPath(req.file);
   const ownerId = req.session.user.id;
   
-  insertContent({
+  const id = insertContent({
     title: title.trim(),
     description: description.trim(),
     category,
     imagePath: webPath,
+    imageVariants: req.file.variants,
     ownerId,
+    tags,
+    ...metadata,
   });
+  auditContentCreated(req, getContentById(id));
   
   res.redirect('/content');
 });
 
-// Content detail page
-app.get('/content/:slug', (req, res, next) => {
-  const base = getContentBySlug(req.params.slug);
-  if (!base) return next();
-  
-  const item = getContentById(base.id) || base;
+/**
+ * Build the view data for the detail page of a content
+ */
+function detailViewData(req, item) {
+  const user = req.session.user;
   const likeCount = getLikeCount(item.id);
   
-  const isLiked = req.session.user
-    ? hasUserLiked({ userId: req.session.user.id, contentId: item.id })
+  const isLiked = user
+    ? hasUserLiked({ userId: user.id, contentId: item.id })
     : false;
   
-  const favorite = req.session.user
-    ? isFavorite({ userId: req.session.user.id, contentId: item.id })
+  const favorite = user
+    ? isFavorite({ userId: user.id, contentId: item.id })
     : false;
   
-  res.render('detail', {
+  const rating = getRatingStats(item.id);
+  const myRating = user
+    ? getUserRating({ userId: user.id, contentId: item.id })
+    : null;
+  
+  const reviews = listReviewsForContent({
+    contentId: item.id,
+    includeHidden: can(user, 'review.moderate'),
+    viewerId: user?.id ?? null,
+  });
+  const myReview = user ? reviews.find((r) => r.ownerId === user.id) || null : null;
+  
+  return {
     title: item.title,
     item,
     likeCount,
     isLiked,
     favorite,
-  });
+    rating,
+    myRating,
+    ratingScale: [10, 9, 8, 7, 6, 5, 4, 3, 2, 1],
+    reviews,
+    myReview,
+  };
+}
+
+// Content detail page
+app.get('/content/:slug', (req, res, next) => {
+  const base = getContentBySlug(req.params.slug);
+  if (!base) return next();
+  
+  const item = getContentById(base.id) || base;
+  res.render('detail', detailViewData(req, item));
 });
 
 // Redirect from ID to slug
@@ -463,67 +990,83 @@ app.get('/content/:slug/edit', requireAuth, (req, res, next) => {
   
   res.locals.item = getContentById(item.id);
   
-  return requireOwnerOrAdmin(req, res, () => {
+  return requirePermission('content.edit')(req, res, () => {
     res.render('content_edit', {
       title: `Bearbeiten: ${item.title}`,
       item: res.locals.item,
-      categories: CATEGORIES,
+      categories: categoryOptions(res.locals.item.category),
+      tagsInput: (res.locals.item.tags ?? []).map((t) => t.name).join(', '),
+      metadata: metadataFormValues(res.locals.item),
     });
   });
 });
 
+/**
+ * Load the content from :slug into res.locals.item (for owner-based permission checks)
+ * Unknown slugs skip to the 404 handler
+ */
+function loadContentItem(req, res, next) {
+  const base = getContentBySlug(req.params.slug);
+  if (!base) return next('route');
+  res.locals.item = getContentById(base.id);
+  next();
+}
+
 // Update content handler
-app.post('/content/:slug/edit', requireAuth, upload.single('image'), (req, res, next) => {
-  const existing = getContentBySlug(req.params.slug);
-  if (!existing) return next();
-  
-  res.locals.item = getContentById(existing.id);
-  
-  requireOwnerOrAdmin(req, res, async () => {
-    const { title, description, category } = req.body || {};
-    const errors = [];
-    
-    if (!title?.trim()) errors.push('Titel ist erforderlich.');
-    if (!description?.trim()) errors.push('Beschrieb ist erforderlich.');
-    if (!CATEGORIES.includes(category)) errors.push('Ungültige Kategorie.');
+// Existence and permission are checked before uploadImage, so refused requests store no files
+app.post(
+  '/content/:slug/edit',
+  requireAuth,
+  loadContentItem,
+  requirePermission('content.edit'),
+  uploadImage,
+  async (req, res) => {
+    const existing = res.locals.item;
+    const { title, description, category, tags: tagInput } = req.body || {};
+    const { tags, errors: tagErrors } = parseTagInput(tagInput);
+    const { metadata, errors: metadataErrors } = parseMetadataInput(req.body || {});
+    const errors = [
+      ...validateContentInput(
+        { title, description, category },
+        { currentCategory: res.locals.item.category }
+      ),
+      ...metadataErrors,
+      ...tagErrors,
+    ];
     
     let newImagePath = null;
-    if (req.file) newImagePath = '/uploads/' + req.file.filename;
+    if (req.file) newImagePath = uploadWebPath(req.file);
     
     if (errors.length) {
-      if (req.file) {
-        try {
-          fs.unlinkSync(path.join(uploadDir, req.file.filename));
-        } catch { /* ignore */ }
-      }
+      discardUpload(req.file);
       return res.status(400).render('content_edit', {
         title: `Bearbeiten: ${existing.title}`,
         item: { ...res.locals.item, title, description, category },
-        categories: CATEGORIES,
+        categories: categoryOptions(res.locals.item.category),
+        tagsInput: tagInput,
+        metadata: metadataFormValues(req.body),
         errors,
       });
     }
     
-    // Delete old image if replaced
-    if (newImagePath) {
-      try {
-        const rel = (res.locals.item?.imagePath || '').replace(/^\//, '');
-        const oldAbs = path.join(__dirname, 'public', rel);
-        if (rel && fs.existsSync(oldAbs)) fs.unlinkSync(oldAbs);
-      } catch { /* ignore */ }
-    }
-    
     updateContent({
       id: res.locals.item.id,
       title: title.trim(),
       description: description.trim(),
       category,
       imagePath: newImagePath || undefined,
+      imageVariants: req.file?.variants,
+      tags,
+      ...metadata,
     });
+    auditContentUpdated(req, res.locals.item, getContentById(res.locals.item.id));
+    
+    // Delete old image if replaced
+    if (newImagePath) await removeImage(res.locals.item.imagePath);
     
     res.redirect(`/content/${existing.slug}`);
-  });
-});
+  }
+);
 
 // Delete content handler
 app.post('/content/:slug/delete', requireAuth, (req, res, next) => {
@@ -532,15 +1075,13 @@ app.post('/content/:slug/delete', requireAuth, (req, res, next) => {
   
   res.locals.item = getContentById(item.id);
   
-  requireOwnerOrAdmin(req, res, () => {
+  requirePermission('content.delete')(req, res, async () => {
+    deleteContentById(res.locals.item.id);
+    auditContentDeleted(req, res.locals.item);
+    
     // Delete associated image file
-    try {
-      const rel = (res.locals.item?.imagePath || '').replace(/^\//, '');
-      const abs = path.join(__dirname, 'public', rel);
-      if (rel && fs.existsSync(abs)) fs.unlinkSync(abs);
-    } catch { /* ignore */ }
+    await removeImage(res.locals.item.imagePath);
     
-    deleteContentById(res.locals.item.id);
     res.redirect('/content');
   });
 });
@@ -569,27 +1110,950 @@ app.post('/content/:slug/fav', requireAuth, (req, res, next) => {
 
 // User's favorites list
 app.get('/me/favorites', requireAuth, (req, res) => {
-  const items = listFavoritesOfUser(req.session.user.id);
+  const { page } = parsePagination(req.query || {}, { defaultLimit: PAGE_SIZE });
+  const { items, total } = listFavoritesOfUser(req.session.user.id, { limit: PAGE_SIZE, page });
+  
+  const pagination = paginate({ page, limit: PAGE_SIZE, total, path: '/me/favorites' });
+  if (page > pagination.pageCount) {
+    return res.redirect(pagination.pages.at(-1)?.url || '/me/favorites');
+  }
+  
   res.render('favorites_list', {
     title: 'Meine Favoriten',
     items,
+    total,
+    pagination,
   });
 });
 
 // ========================================
-// ERROR HANDLERS
+// ROUTES - RATINGS
 // ========================================
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).render('error', {
-    title: '404 – Nicht gefunden',
-    message: 'Die angeforderte Seite wurde nicht gefunden.',
-  });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
+// Rate content (1-10), replaces an existing rating
+app.post('/content/:slug/rating', requireAuth, (req, res, next) => {
+  const item = getContentBySlug(req.params.slug);
+  if (!item) return next();
+  
+  const score = Number(req.body?.score);
+  if (!Number.isInteger(score) || score < 1 || score > 10) {
+    return res.status(400).render('error', {
+      title: '400 – Ungültige Bewertung',
+      message: 'Die Bewertung muss eine ganze Zahl zwischen 1 und 10 sein.',
+    });
+  }
+  
+  upsertRating({ userId: req.session.user.id, contentId: item.id, score });
+  res.redirect(req.get('referer') || `/content/${item.slug}`);
+});
+
+// Remove own rating
+app.post('/content/:slug/rating/delete', requireAuth, (req, res, next) => {
+  const item = getContentBySlug(req.params.slug);
+  if (!item) return next();
+  
+  removeRating({ userId: req.session.user.id, contentId: item.id });
+  res.redirect(req.get('referer') || `/content/${item.slug}`);
+});
+
+// ========================================
+// ROUTES - REVIEWS
+// ========================================
+
+/**
+ * Load content and review from the route params into res.locals
+ * Returns false if either does not exist or they don't belong together
+ */
+function loadReview(req, res) {
+  const content = getContentBySlug(req.params.slug);
+  if (!content) return false;
+  
+  const review = getReviewById(Number(req.params.id));
+  if (!review || review.contentId !== content.id) return false;
+  
+  res.locals.content = content;
+  res.locals.item = review;
+  return true;
+}
+
+// Create review (one per user and content)
+app.post('/content/:slug/reviews', requireAuth, (req, res, next) => {
+  const base = getContentBySlug(req.params.slug);
+  if (!base) return next();
+  
+  const item = getContentById(base.id) || base;
+  const { body } = req.body || {};
+  const errors = validateReviewBody(body);
+  
+  if (getUserReview({ userId: req.session.user.id, contentId: item.id })) {
+    errors.push('Du hast diesen Film bereits rezensiert.');
+  }
+  
+  if (errors.length) {
+    return res.status(400).render('detail', {
+      ...detailViewData(req, item),
+      reviewErrors: errors,
+      reviewValues: { body },
+    });
+  }
+  
+  createReview({ userId: req.session.user.id, contentId: item.id, body: body.trim() });
+  res.redirect(`/content/${item.slug}#reviews`);
+});
+
+// Edit review form
+app.get('/content/:slug/reviews/:id/edit', requireAuth, (req, res, next) => {
+  if (!loadReview(req, res)) return next();
+  
+  return requirePermission('review.edit')(req, res, () => {
+    res.render('review_edit', {
+      title: `Rezension bearbeiten: ${res.locals.content.title}`,
+      content: res.locals.content,
+      review: res.locals.item,
+    });
+  });
+});
+
+// Update review handler
+app.post('/content/:slug/reviews/:id/edit', requireAuth, (req, res, next) => {
+  if (!loadReview(req, res)) return next();
+  
+  requirePermission('review.edit')(req, res, () => {
+    const { content, item: review } = res.locals;
+    const { body } = req.body || {};
+    const errors = validateReviewBody(body);
+    
+    if (errors.length) {
+      return res.status(400).render('review_edit', {
+        title: `Rezension bearbeiten: ${content.title}`,
+        content,
+        review: { ...review, body },
+        errors,
+      });
+    }
+    
+    updateReview({ id: review.id, body: body.trim() });
+    res.redirect(`/content/${content.slug}#review-${review.id}`);
+  });
+});
+
+// Delete review handler
+app.post('/content/:slug/reviews/:id/delete', requireAuth, (req, res, next) => {
+  if (!loadReview(req, res)) return next();
+  
+  requirePermission('review.delete')(req, res, () => {
+    deleteReviewById(res.locals.item.id);
+    res.redirect(`/content/${res.locals.content.slug}#reviews`);
+  });
+});
+
+// Hide review (moderation)
+app.post('/content/:slug/reviews/:id/hide', requirePermission('review.moderate'), (req, res, next) => {
+  if (!loadReview(req, res)) return next();
+  
+  setReviewHidden({ id: res.locals.item.id, hidden: true, moderatorId: req.session.user.id });
+  res.redirect(`/content/${res.locals.content.slug}#review-${res.locals.item.id}`);
+});
+
+// Unhide review (moderation)
+app.post('/content/:slug/reviews/:id/unhide', requirePermission('review.moderate'), (req, res, next) => {
+  if (!loadReview(req, res)) return next();
+  
+  setReviewHidden({ id: res.locals.item.id, hidden: false, moderatorId: req.session.user.id });
+  res.redirect(`/content/${res.locals.content.slug}#review-${res.locals.item.id}`);
+});
+
+// Review edit history
+app.get('/content/:slug/reviews/:id/history', (req, res, next) => {
+  if (!loadReview(req, res)) return next();
+  
+  const { content, item: review } = res.locals;
+  const user = req.session.user;
+  const mayView = !review.hidden
+    || (user && (user.id === review.ownerId || can(user, 'review.moderate')));
+  if (!mayView) return next();
+  
+  res.render('review_history', {
+    title: `Verlauf der Rezension von ${review.ownerName}`,
+    content,
+    review,
+    revisions: listReviewRevisions(review.id),
+  });
+});
+
+// ========================================
+// ROUTES - ACCOUNT SETTINGS
+// ========================================
+
+/**
+ * Render the account settings page
+ * Errors and notices belong to one section ('profile', 'email', 'password' or 'delete')
+ */
+function renderSettings(req, res, { status = 200, section = null, errors = null, notice = null, values = {} } = {}) {
+  const user = getUserById(req.session.user.id);
+  res.status(status).render('me_settings', {
+    title: 'Einstellungen',
+    user,
+    contentCount: listContentsFiltered({ ownerId: user.id, limit: 1 }).total,
+    section,
+    errors,
+    notice,
+    values,
+  });
+}
+
+/**
+ * Check the current password of the logged-in user
+ */
+async function verifyCurrentPassword(req, password) {
+  const hash = getUserPasswordHash(req.session.user.id);
+  return !!password && !!hash && bcrypt.compare(password, hash);
+}
+
+/**
+ * Store the changed user in the session so the header and guards see it immediately
+ */
+function refreshSessionUser(req, res) {
+  const fresh = getUserById(req.session.user.id);
+  req.session.user = { id: fresh.id, name: fresh.name, email: fresh.email, role: fresh.role };
+  res.locals.currentUser = req.session.user;
+}
+
+// Settings overview
+app.get('/me/settings', requireAuth, (req, res) => {
+  renderSettings(req, res);
+});
+
+// Change display name
+app.post('/me/settings/profile', requireAuth, (req, res) => {
+  const name = String(req.body?.name || '').trim();
+  
+  if (!name) {
+    return renderSettings(req, res, { status: 400, section: 'profile', errors: ['Name ist erforderlich.'] });
+  }
+  
+  const oldName = req.session.user.name;
+  updateUserName({ id: req.session.user.id, name });
+  refreshSessionUser(req, res);
+  if (name !== oldName) {
+    auditUserAction(req, 'user.name', req.session.user, { before: { name: oldName }, after: { name } });
+  }
+  renderSettings(req, res, { section: 'profile', notice: 'Name gespeichert.' });
+});
+
+// Change email address (requires the current password and a new verification)
+app.post('/me/settings/email', requireAuth, async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  const errors = [];
+  
+  if (!email) errors.push('E-Mail ist erforderlich.');
+  else if (email === req.session.user.email) errors.push('Das ist bereits deine E-Mail-Adresse.');
+  else if (getUserByEmail(email)) errors.push('Diese E-Mail ist bereits registriert.');
+  if (!(await verifyCurrentPassword(req, req.body?.current_password))) errors.push('Aktuelles Passwort ist falsch.');
+  
+  if (errors.length) {
+    return renderSettings(req, res, { status: 400, section: 'email', errors, values: { email } });
+  }
+  
+  const oldEmail = req.session.user.email;
+  try {
+    updateUserEmail({ id: req.session.user.id, email });
+  } catch (err) {
+    if (err.code !== 'EMAIL_TAKEN') throw err;
+    return renderSettings(req, res, { status: 400, section: 'email', errors: [err.message], values: { email } });
+  }
+  refreshSessionUser(req, res);
+  auditUserAction(req, 'user.email', req.session.user, { before: { email: oldEmail }, after: { email } });
+  
+  await sendVerificationMail(req, req.session.user);
+  if (oldEmail) {
+    await trySendMail({
+      to: oldEmail,
+      subject: 'Deine E-Mail-Adresse wurde geändert',
+      text: [
+        `Hallo ${req.session.user.name},`,
+        '',
+        `die E-Mail-Adresse deines Kontos bei der Movie Rating App wurde auf ${email} geändert.`,
+        'Falls du das nicht warst, setze bitte umgehend dein Passwort zurück.',
+      ].join('\n'),
+    });
+  }
+  
+  renderSettings(req, res, {
+    section: 'email',
+    notice: `E-Mail-Adresse geändert. Bitte bestätige ${email} über den Link, den wir dir geschickt haben – erst dann ist wieder ein Login möglich.`,
+  });
+});
+
+// Change password
+app.post('/me/settings/password', requireAuth, async (req, res) => {
+  const { current_password, password, password_confirm } = req.body || {};
+  const errors = [];
+  
+  if (!(await verifyCurrentPassword(req, current_password))) errors.push('Aktuelles Passwort ist falsch.');
+  errors.push(...validateNewPassword(password, password_confirm));
+  
+  if (errors.length) {
+    return renderSettings(req, res, { status: 400, section: 'password', errors });
+  }
+  
+  updateUserPassword({ id: req.session.user.id, passwordHash: await bcrypt.hash(password, 11) });
+  // Log out everywhere else – whoever knew the old password may still be logged in
+  deleteSessionsOfUser({ userId: req.session.user.id, exceptSid: req.sessionID });
+  auditUserAction(req, 'user.password', req.session.user);
+  renderSettings(req, res, { section: 'password', notice: 'Passwort geändert. Alle anderen Sitzungen wurden abgemeldet.' });
+});
+
+// Delete own account incl. contents, likes, favorites, ratings, reviews and tokens
+app.post('/me/settings/delete', requireAuth, async (req, res) => {
+  const user = getUserById(req.session.user.id);
+  
+  if (!(await verifyCurrentPassword(req, req.body?.current_password))) {
+    return renderSettings(req, res, { status: 400, section: 'delete', errors: ['Aktuelles Passwort ist falsch.'] });
+  }
+  if (isLastActiveAdmin(user)) {
+    return renderSettings(req, res, {
+      status: 400,
+      section: 'delete',
+      errors: ['Der letzte aktive Admin kann sein Konto nicht löschen. Ernenne zuerst einen weiteren Admin.'],
+    });
+  }
+  
+  const contentCount = getAllUsers().find((u) => u.id === user.id)?.contentCount ?? 0;
+  const { removedImagePaths } = deleteUser({ id: user.id });
+  auditUserAction(req, 'user.delete', user, {
+    before: { name: user.name, email: user.email, role: user.role, contents: contentCount },
+    after: contentCount ? { contents: 'gelöscht' } : null,
+  });
+  await Promise.all(removedImagePaths.map(removeImage));
+  
+  req.session.destroy(() => res.redirect('/'));
+});
+
+// ========================================
+// ROUTES - API TOKENS
+// ========================================
+
+// Allowed token lifetimes in days (0 = never expires)
+const TOKEN_LIFETIMES = [0, 30, 90, 365];
+
+// Token overview and creation form
+app.get('/me/tokens', requireAuth, (req, res) => {
+  res.render('api_tokens', {
+    title: 'API-Tokens',
+    tokens: listApiTokensOfUser(req.session.user.id),
+    scopes: API_TOKEN_SCOPES,
+    lifetimes: TOKEN_LIFETIMES,
+    values: { scope: 'read', lifetime: 90 },
+  });
+});
+
+// Create token – the plain token is shown exactly once
+app.post('/me/tokens', requireAuth, async (req, res) => {
+  const { name, scope, lifetime } = req.body || {};
+  const days = Number(lifetime);
+  const errors = [];
+  
+  if (!name?.trim()) errors.push('Name ist erforderlich.');
+  if (name && name.trim().length > 100) errors.push('Name darf max. 100 Zeichen lang sein.');
+  if (!API_TOKEN_SCOPES.includes(scope)) errors.push('Ungültiger Geltungsbereich.');
+  if (!TOKEN_LIFETIMES.includes(days)) errors.push('Ungültige Gültigkeitsdauer.');
+  
+  if (errors.length) {
+    return res.status(400).render('api_tokens', {
+      title: 'API-Tokens',
+      tokens: listApiTokensOfUser(req.session.user.id),
+      scopes: API_TOKEN_SCOPES,
+      lifetimes: TOKEN_LIFETIMES,
+      errors,
+      values: { name, scope, lifetime: days },
+    });
+  }
+  
+  const { token, prefix } = generateApiToken();
+  const expiresAt = days
+    ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19)
+    : null;
+  
+  createApiToken({
+    userId: req.session.user.id,
+    name: name.trim(),
+    prefix,
+    tokenHash: await hashApiToken(token),
+    scope,
+    expiresAt,
+  });
+  
+  res.status(201).render('api_tokens', {
+    title: 'API-Tokens',
+    tokens: listApiTokensOfUser(req.session.user.id),
+    scopes: API_TOKEN_SCOPES,
+    lifetimes: TOKEN_LIFETIMES,
+    newToken: token,
+    values: { scope: 'read', lifetime: 90 },
+  });
+});
+
+// Revoke token
+app.post('/me/tokens/:id/revoke', requireAuth, (req, res) => {
+  revokeApiToken({ id: Number(req.params.id), userId: req.session.user.id });
+  res.redirect('/me/tokens');
+});
+
+// ========================================
+// ROUTES - TWO-FACTOR AUTHENTICATION
+// ========================================
+
+/**
+ * Render the 2FA page; without active 2FA it shows the setup with a new secret (kept in the session until confirmed)
+ * Recovery codes are passed only right after they were created – they are shown exactly once
+ */
+async function renderTwoFactor(req, res, { status = 200, errors = null, notice = null, recoveryCodes = null } = {}) {
+  const state = getTwoFactorState(req.session.user.id);
+  let setup = null;
+  if (!state.enabled) {
+    req.session.totpSetup ||= generateTotpSecret();
+    setup = await setupData(req.session.totpSetup, req.session.user.email);
+  }
+  
+  res.status(status).render('two_factor', {
+    title: 'Zwei-Faktor-Authentifizierung',
+    enabled: state.enabled,
+    recoveryCodesLeft: state.recoveryCodesLeft,
+    required: isTwoFactorRequired(req.session.user),
+    setup,
+    recoveryCodes,
+    errors,
+    notice,
+  });
+}
+
+// Status and setup
+app.get('/me/2fa', requireAuth, async (req, res) => {
+  const notice = !getTwoFactorState(req.session.user.id).enabled && isTwoFactorRequired(req.session.user)
+    ? 'Für deine Rolle ist die Zwei-Faktor-Authentifizierung Pflicht. Richte sie ein, um weiterzumachen.'
+    : null;
+  await renderTwoFactor(req, res, { notice });
+});
+
+// Confirm the setup with a first code
+app.post('/me/2fa/enable', requireAuth, async (req, res) => {
+  const secret = req.session.totpSetup;
+  const recoveryCodes = secret ? confirmTwoFactorSetup(req.session.user.id, secret, req.body?.code) : null;
+  
+  if (!recoveryCodes) {
+    return renderTwoFactor(req, res, { status: 400, errors: ['Der Code ist ungültig. Prüfe die Uhrzeit deines Geräts und versuche es erneut.'] });
+  }
+  
+  delete req.session.totpSetup;
+  auditUserAction(req, 'user.two_factor_enable', req.session.user);
+  await renderTwoFactor(req, res, { notice: 'Zwei-Faktor-Authentifizierung ist aktiv.', recoveryCodes });
+});
+
+// New recovery codes (the old ones become invalid)
+app.post('/me/2fa/recovery-codes', requireAuth, async (req, res) => {
+  if (!getTwoFactorState(req.session.user.id).enabled) return res.redirect('/me/2fa');
+  if (!(await verifyCurrentPassword(req, req.body?.current_password))) {
+    return renderTwoFactor(req, res, { status: 400, errors: ['Aktuelles Passwort ist falsch.'] });
+  }
+  
+  const recoveryCodes = renewRecoveryCodes(req.session.user.id);
+  await renderTwoFactor(req, res, { notice: 'Neue Wiederherstellungscodes erstellt.', recoveryCodes });
+});
+
+// Switch off (password and a current code required; not possible if the role requires 2FA)
+app.post('/me/2fa/disable', requireAuth, async (req, res) => {
+  const userId = req.session.user.id;
+  if (!getTwoFactorState(userId).enabled) return res.redirect('/me/2fa');
+  
+  const errors = [];
+  if (isTwoFactorRequired(req.session.user)) errors.push('Für deine Rolle ist die Zwei-Faktor-Authentifizierung Pflicht.');
+  else if (!(await verifyCurrentPassword(req, req.body?.current_password))) errors.push('Aktuelles Passwort ist falsch.');
+  else if (!verifySecondFactor(userId, req.body?.code)) errors.push('Der Code ist ungültig oder wurde schon verwendet.');
+  
+  if (errors.length) return renderTwoFactor(req, res, { status: 400, errors });
+  
+  disableTwoFactor(userId);
+  auditUserAction(req, 'user.two_factor_disable', req.session.user);
+  await renderTwoFactor(req, res, { notice: 'Zwei-Faktor-Authentifizierung ist ausgeschaltet.' });
+});
+
+// ========================================
+// ROUTES - ACTIVE SESSIONS
+// ========================================
+
+// Devices the user is logged in on
+app.get('/me/sessions', requireAuth, (req, res) => {
+  const sessions = listSessionsOfUser(req.session.user.id).map(({ sid, ...s }) => ({
+    ...s,
+    device: describeUserAgent(s.userAgent),
+    current: sid === req.sessionID,
+  })).sort((a, b) => b.current - a.current);
+  
+  res.render('sessions', {
+    title: 'Angemeldete Geräte',
+    sessions,
+    otherCount: sessions.filter((s) => !s.current).length,
+  });
+});
+
+// Log out all other devices
+app.post('/me/sessions/revoke-others', requireAuth, (req, res) => {
+  deleteSessionsOfUser({ userId: req.session.user.id, exceptSid: req.sessionID });
+  res.redirect('/me/sessions');
+});
+
+// Log out one device (the current session is ended with /logout)
+app.post('/me/sessions/:id/revoke', requireAuth, (req, res) => {
+  deleteSessionsOfUser({ userId: req.session.user.id, id: Number(req.params.id), exceptSid: req.sessionID });
+  res.redirect('/me/sessions');
+});
+
+// ========================================
+// ROUTES - CATEGORIES (ADMIN)
+// ========================================
+
+/**
+ * Render the category management list
+ */
+function renderCategories(res, { status = 200, errors = null, values = {} } = {}) {
+  res.status(status).render('categories', {
+    title: 'Kategorien',
+    categories: listCategories({ includeRetired: true }),
+    errors,
+    values,
+  });
+}
+
+/**
+ * Load the category from :id into res.locals.category
+ * Returns false if the category does not exist
+ */
+function loadCategory(req, res) {
+  const category = getCategoryById(Number(req.params.id));
+  if (!category) return false;
+  res.locals.category = category;
+  return true;
+}
+
+// Category list with management actions
+app.get('/categories', requirePermission('categories.manage'), (req, res) => {
+  renderCategories(res);
+});
+
+// Create category (appended at the end)
+app.post('/categories', requirePermission('categories.manage'), (req, res) => {
+  const { errors, slug, label } = validateCategoryInput(req.body || {}, true);
+  
+  if (errors.length) {
+    return renderCategories(res, { status: 400, errors, values: req.body || {} });
+  }
+  
+  createCategory({ slug, label });
+  res.redirect('/categories');
+});
+
+// Rename category
+app.post('/categories/:id', requirePermission('categories.manage'), (req, res, next) => {
+  if (!loadCategory(req, res)) return next();
+  
+  const { errors, label } = validateCategoryInput(req.body || {});
+  if (errors.length) return renderCategories(res, { status: 400, errors });
+  
+  updateCategoryLabel({ id: res.locals.category.id, label });
+  res.redirect('/categories');
+});
+
+// Move category up or down
+app.post('/categories/:id/move', requirePermission('categories.manage'), (req, res, next) => {
+  if (!loadCategory(req, res)) return next();
+  
+  const direction = { up: -1, down: 1 }[req.body?.direction];
+  if (!direction) return renderCategories(res, { status: 400, errors: ['Ungültige Richtung.'] });
+  
+  moveCategory({ id: res.locals.category.id, direction });
+  res.redirect('/categories');
+});
+
+// Retire category (no longer offered for new entries; existing entries keep it)
+app.post('/categories/:id/retire', requirePermission('categories.manage'), (req, res, next) => {
+  if (!loadCategory(req, res)) return next();
+  
+  if (listCategories().length <= 1 && !res.locals.category.retired) {
+    return renderCategories(res, { status: 400, errors: ['Die letzte aktive Kategorie kann nicht stillgelegt werden.'] });
+  }
+  
+  setCategoryRetired({ id: res.locals.category.id, retired: true });
+  res.redirect('/categories');
+});
+
+// Reactivate category
+app.post('/categories/:id/reactivate', requirePermission('categories.manage'), (req, res, next) => {
+  if (!loadCategory(req, res)) return next();
+  setCategoryRetired({ id: res.locals.category.id, retired: false });
+  res.redirect('/categories');
+});
+
+// ========================================
+// ROUTES - USER MANAGEMENT (ADMIN)
+// ========================================
+
+/**
+ * Render the user management list
+ */
+function renderUsers(res, status = 200, errors = null) {
+  const requiredRoles = getRequiredTwoFactorRoles();
+  res.status(status).render('users', {
+    title: 'Benutzer',
+    users: getAllUsers(),
+    roles: ROLES,
+    twoFactorRoles: TWO_FACTOR_ROLES.map((role) => ({ role, required: requiredRoles.includes(role) })),
+    errors,
+  });
+}
+
+/**
+ * Load the user from :id into res.locals.target
+ * Returns false if the user does not exist
+ */
+function loadTargetUser(req, res) {
+  const target = getUserById(Number(req.params.id));
+  if (!target) return false;
+  res.locals.target = target;
+  return true;
+}
+
+/**
+ * Whether removing admin rights from the target would leave no active admin
+ */
+function isLastActiveAdmin(target) {
+  return target.role === 'admin' && !target.disabled && countActiveAdmins() <= 1;
+}
+
+// Users list with management actions (admin only)
+app.get('/users', requirePermission('users.manage'), (req, res) => {
+  try {
+    renderUsers(res);
+  } catch (err) {
+    console.error('[/users] Fehler:', err);
+    res.status(500).render('error', { title: 'Fehler', message: 'Fehler beim Laden der Benutzer' });
+  }
+});
+
+// Roles that must use 2FA
+app.post('/users/two-factor', requirePermission('users.manage'), (req, res) => {
+  setRequiredTwoFactorRoles([req.body?.roles ?? []].flat());
+  res.redirect('/users');
+});
+
+// Reset the 2FA of a user who lost the authenticator and the recovery codes
+app.post('/users/:id/two-factor/reset', requirePermission('users.manage'), (req, res, next) => {
+  if (!loadTargetUser(req, res)) return next();
+  disableTwoFactor(res.locals.target.id);
+  auditUserAction(req, 'user.two_factor_reset', res.locals.target);
+  res.redirect('/users');
+});
+
+// Change role
+app.post('/users/:id/role', requirePermission('users.manage'), (req, res, next) => {
+  if (!loadTargetUser(req, res)) return next();
+  
+  const { target } = res.locals;
+  const { role } = req.body || {};
+  
+  if (!ROLES.includes(role)) return renderUsers(res, 400, ['Ungültige Rolle.']);
+  if (target.id === req.session.user.id) {
+    return renderUsers(res, 400, ['Du kannst deine eigene Rolle nicht ändern.']);
+  }
+  if (role !== 'admin' && isLastActiveAdmin(target)) {
+    return renderUsers(res, 400, ['Der letzte aktive Admin kann nicht herabgestuft werden.']);
+  }
+  
+  updateUserRole({ id: target.id, role });
+  if (role !== target.role) {
+    auditUserAction(req, 'user.role', target, { before: { role: target.role }, after: { role } });
+  }
+  res.redirect('/users');
+});
+
+// Disable account (blocks login, ends sessions on next request, invalidates API tokens)
+app.post('/users/:id/disable', requirePermission('users.manage'), (req, res, next) => {
+  if (!loadTargetUser(req, res)) return next();
+  
+  const { target } = res.locals;
+  if (target.id === req.session.user.id) {
+    return renderUsers(res, 400, ['Du kannst dein eigenes Konto nicht deaktivieren.']);
+  }
+  if (isLastActiveAdmin(target)) {
+    return renderUsers(res, 400, ['Der letzte aktive Admin kann nicht deaktiviert werden.']);
+  }
+  
+  setUserDisabled({ id: target.id, disabled: true });
+  auditUserAction(req, 'user.disable', target);
+  res.redirect('/users');
+});
+
+// Re-enable account
+app.post('/users/:id/enable', requirePermission('users.manage'), (req, res, next) => {
+  if (!loadTargetUser(req, res)) return next();
+  
+  setUserDisabled({ id: res.locals.target.id, disabled: false });
+  auditUserAction(req, 'user.enable', res.locals.target);
+  res.redirect('/users');
+});
+
+// Delete confirmation (choose reassign or cascade)
+app.get('/users/:id/delete', requirePermission('users.manage'), (req, res, next) => {
+  if (!loadTargetUser(req, res)) return next();
+  
+  const { target } = res.locals;
+  const users = getAllUsers();
+  res.render('user_delete', {
+    title: `Benutzer löschen: ${target.name}`,
+    target,
+    contentCount: users.find((u) => u.id === target.id)?.contentCount ?? 0,
+    candidates: users.filter((u) => u.id !== target.id && !u.disabled),
+  });
+});
+
+// Delete user
+app.post('/users/:id/delete', requirePermission('users.manage'), async (req, res, next) => {
+  if (!loadTargetUser(req, res)) return next();
+  
+  const { target } = res.locals;
+  const { contents: mode, reassign_to: reassignTo } = req.body || {};
+  
+  if (target.id === req.session.user.id) {
+    return renderUsers(res, 400, ['Du kannst dein eigenes Konto hier nicht löschen.']);
+  }
+  if (isLastActiveAdmin(target)) {
+    return renderUsers(res, 400, ['Der letzte aktive Admin kann nicht gelöscht werden.']);
+  }
+  
+  let newOwner = null;
+  if (mode === 'reassign') {
+    newOwner = getUserById(Number(reassignTo));
+    if (!newOwner || newOwner.disabled || newOwner.id === target.id) {
+      return renderUsers(res, 400, ['Ungültiger neuer Eigentümer für die Filme.']);
+    }
+  } else if (mode !== 'delete') {
+    return renderUsers(res, 400, ['Bitte wählen, was mit den Filmen passieren soll.']);
+  }
+  
+  const contentCount = getAllUsers().find((u) => u.id === target.id)?.contentCount ?? 0;
+  const { removedImagePaths } = deleteUser({ id: target.id, reassignTo: newOwner?.id ?? null });
+  auditUserAction(req, 'user.delete', target, {
+    before: { name: target.name, email: target.email, role: target.role, contents: contentCount },
+    after: contentCount ? { contents: newOwner ? `an ${newOwner.name} übertragen` : 'gelöscht' } : null,
+  });
+  await Promise.all(removedImagePaths.map(removeImage));
+  
+  res.redirect('/users');
+});
+
+// ========================================
+// ROUTES - LOGIN ATTEMPTS (ADMIN)
+// ========================================
+
+// Audit of failed logins and registrations, with the accounts and IPs locked out right now
+app.get('/login-attempts', requirePermission('users.manage'), (req, res) => {
+  const query = req.query || {};
+  const { page } = parsePagination(query, { defaultLimit: PAGE_SIZE });
+  const filters = {
+    kind: ['login', 'register'].includes(query.kind) ? query.kind : '',
+    email: String(query.email ?? '').trim().slice(0, 254),
+    ip: String(query.ip ?? '').trim().slice(0, 64),
+    all: query.all === '1',
+  };
+  
+  const { items, total } = listAuthAttempts({ ...filters, failedOnly: !filters.all, limit: PAGE_SIZE, page });
+  const pagination = paginate({ page, limit: PAGE_SIZE, total, path: '/login-attempts', query });
+  if (page > pagination.pageCount) {
+    return res.redirect(pagination.pages.at(-1)?.url || '/login-attempts');
+  }
+  
+  res.render('login_attempts', {
+    title: 'Anmeldeversuche',
+    attempts: items.map((a) => ({ ...a, outcomeLabel: AUTH_OUTCOME_LABELS[a.outcome] ?? a.outcome })),
+    total,
+    filters,
+    lockouts: listLoginLockouts(),
+    pagination,
+  });
+});
+
+// ========================================
+// ROUTES - AUDIT LOG (ADMIN)
+// ========================================
+
+// Who changed which content or account, filterable by user, action and date range
+app.get('/audit-log', requirePermission('users.manage'), (req, res) => {
+  const query = req.query || {};
+  const { page } = parsePagination(query, { defaultLimit: PAGE_SIZE });
+  const day = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value ?? '') ? value : '');
+  const filters = {
+    user: /^\d+$/.test(query.user ?? '') ? Number(query.user) : null,
+    action: Object.hasOwn(AUDIT_ACTION_LABELS, query.action ?? '') ? query.action : '',
+    from: day(query.from),
+    to: day(query.to),
+  };
+  
+  const { items, total } = listAuditEvents({ ...filters, actorId: filters.user, limit: PAGE_SIZE, page });
+  const pagination = paginate({ page, limit: PAGE_SIZE, total, path: '/audit-log', query });
+  if (page > pagination.pageCount) {
+    return res.redirect(pagination.pages.at(-1)?.url || '/audit-log');
+  }
+  
+  res.render('audit_log', {
+    title: 'Änderungsprotokoll',
+    entries: items.map((e) => ({
+      ...e,
+      actionLabel: AUDIT_ACTION_LABELS[e.action] ?? e.action,
+      changes: auditChanges(e),
+    })),
+    total,
+    filters,
+    actors: listAuditActors(),
+    actions: Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => ({ value, label })),
+    pagination,
+  });
+});
+
+// ========================================
+// ROUTES - CATALOG IMPORT/EXPORT (ADMIN)
+// ========================================
+
+/**
+ * Render the catalogue page (export links, import form and the report of the last import)
+ */
+function renderCatalog(res, { status = 200, errors = null, report = null } = {}) {
+  res.status(status).render('catalog', {
+    title: 'Katalog',
+    errors,
+    report,
+  });
+}
+
+// Catalogue page
+app.get('/catalog', requirePermission('catalog.manage'), (req, res) => {
+  renderCatalog(res);
+});
+
+// Export as download (JSON or CSV)
+app.get('/catalog/export.:format', requirePermission('catalog.manage'), (req, res, next) => {
+  if (!CATALOG_FORMATS.includes(req.params.format)) return next();
+  
+  const { body, contentType, filename } = exportCatalog(req.params.format);
+  res.set('Content-Type', contentType);
+  res.attachment(filename);
+  res.send(body);
+});
+
+// Import a JSON or CSV file; rows without ownerEmail belong to the importing admin
+app.post('/catalog/import', requirePermission('catalog.manage'), uploadCatalogFile, async (req, res) => {
+  if (!req.file) return renderCatalog(res, { status: 400, errors: ['Bitte eine JSON- oder CSV-Datei wählen.'] });
+  
+  const text = req.file.buffer.toString('utf8');
+  try {
+    const report = await importCatalog({
+      text,
+      format: detectCatalogFormat(text, req.file.originalname),
+      defaultOwnerId: req.session.user.id,
+      dryRun: !!req.body?.dry_run,
+      auditAs: req,
+    });
+    renderCatalog(res, { status: report.errors.length ? 400 : 200, report });
+  } catch (err) {
+    if (err.code !== 'INVALID_CATALOG') throw err;
+    renderCatalog(res, { status: 400, errors: [err.message] });
+  }
+});
+
+// ========================================
+// ROUTES - BACKUPS (ADMIN)
+// ========================================
+
+/**
+ * Render the backup list
+ */
+function renderBackups(res, { status = 200, errors = null, notice = null } = {}) {
+  const backups = listBackups().map((b) => ({
+    ...b,
+    sizeLabel: b.size >= 1024 * 1024 ? `${(b.size / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(b.size / 1024)} KB`,
+    hasUploadArchive: !!b.uploads?.file,
+  }));
+  res.status(status).render('backups', {
+    title: 'Backups',
+    backups,
+    errors,
+    notice,
+  });
+}
+
+// Backup list
+app.get('/backups', requirePermission('backups.manage'), (req, res) => {
+  renderBackups(res);
+});
+
+// Make a backup now (online; old backups beyond BACKUP_KEEP are deleted)
+app.post('/backups', requirePermission('backups.manage'), async (req, res) => {
+  try {
+    const { name, pruned } = await createBackup();
+    const notice = `Backup ${name} erstellt.` + (pruned.length ? ` ${pruned.length} altes Backup gelöscht.` : '');
+    renderBackups(res, { notice });
+  } catch (err) {
+    if (!err.code?.startsWith('BACKUP_')) throw err;
+    renderBackups(res, { status: 500, errors: [err.message] });
+  }
+});
+
+// Download a file of a backup (app.db, uploads.tar.gz, manifest.json)
+app.get('/backups/:name/:file', requirePermission('backups.manage'), (req, res, next) => {
+  const filePath = backupFilePath(req.params.name, req.params.file);
+  if (!filePath) return next();
+  res.download(filePath, `${req.params.name}-${req.params.file}`);
+});
+
+// ========================================
+// ROUTES - JSON API
+// ========================================
+
+app.use('/api/v1', apiRouter);
+
+// ========================================
+// ERROR HANDLERS
+// ========================================
+
+// JSON errors for API requests that fail before reaching the router
+app.use('/api', apiErrorHandler);
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).render('error', {
+    title: '404 – Nicht gefunden',
+    message: 'Die angeforderte Seite wurde nicht gefunden.',
+  });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  // Rejected uploads (wrong type, unreadable image, too large)
+  if (err.code === 'INVALID_FILE_TYPE' || err.name === 'MulterError') {
+    discardUpload(req.file);
+    return res.status(400).render('error', {
+      title: 'Upload fehlgeschlagen',
+      message: err.message,
+    });
+  }
+  
+  // Form without a valid CSRF token (forged or from an expired session)
+  if (err.code === 'EBADCSRFTOKEN') {
+    return res.status(403).render('error', {
+      title: '403 – Anfrage abgelehnt',
+      message: `${err.message} Bitte lade die Seite neu und versuche es noch einmal.`,
+    });
+  }
+  
   console.error('[Error]', err);
   res.status(500).render('error', {
     title: '500 – Serverfehler',
@@ -0,0 +1,46 @@
+// db/connection.js
+// Location and connection settings of the SQLite database, selected by DB_MODE:
+// - 'file'   database file at DB_FILE (default: ./data/app.db) (default)
+// - 'memory' in-memory database, empty on every start and lost on exit – for tests and demos
+// Shared by the database layer (db/index.js) and the maintenance scripts
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DB_MODES = ['file', 'memory'];
+
+/**
+ * The configured database mode
+ * @returns {'file'|'memory'}
+ * @throws {Error} On an unknown DB_MODE
+ */
+export function dbMode() {
+  const mode = process.env.DB_MODE || 'file';
+  if (!DB_MODES.includes(mode)) throw new Error(`Unbekannter DB_MODE: ${mode} (erlaubt: ${DB_MODES.join(', ')})`);
+  return mode;
+}
+
+/**
+ * Resolve the database file path from environment or default
+ */
+export function resolveDbPath() {
+  const fromEnv = process.env.DB_FILE;
+  if (fromEnv) return fromEnv;
+  const dataDir = path.join(__dirname, '..', 'data');
+  fs.mkdirSync(dataDir, { recursive: true });
+  return path.join(dataDir, 'app.db');
+}
+
+/**
+ * Apply the connection settings every connection needs (WAL mode, foreign keys)
+ */
+export function configureConnection(instance) {
+  instance.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA foreign_keys = ON;
+  `);
+}
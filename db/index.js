@@ -1,29 +1,22 @@
 // db/index.js
 // Database layer with SQLite using better-sqlite3
-// Handles migrations, seeding, and all CRUD operations for users, contents, likes, and favorites
+// Handles startup (schema migrations, see db/migrator.js), seeding, and all CRUD operations for users, categories, contents, tags, people, likes, favorites, ratings, reviews, API tokens, mail tokens, login/registration attempts, sessions, two-factor authentication, settings and the audit log
 
-import fs from 'node:fs';
 import path from 'node:path';
-import { fileURLToPath } from 'node:url';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { dbMode, resolveDbPath, configureConnection } from './connection.js';
+import { loadMigrations, getMigrationStatus, migrateUp } from './migrator.js';
 
-// Fallback users when better-sqlite3 is not installed
-const fallbackUsers = [
-  { id: 1, name: 'DB', role: 'admin', createdAt: new Date('2024-11-02') },
-  { id: 2, name: 'Fallback', role: 'user', createdAt: new Date('2025-01-15') },
-  { id: 3, name: 'Data', role: 'editor', createdAt: new Date('2025-07-01') },
-];
-
-let Database = null;
 let db = null;
 
-// Try to import better-sqlite3
+// better-sqlite3 is required; without it the app cannot run (no silent fallback)
+let Database;
 try {
   ({ default: Database } = await import('better-sqlite3'));
-} catch (e) {
-  console.warn('[db] better-sqlite3 nicht installiert – verwende Fallback-Daten.');
+} catch (err) {
+  throw new Error(
+    `[db] better-sqlite3 konnte nicht geladen werden (npm install ausführen, ggf. Build-Tools für das native Modul installieren): ${err.message}`
+  );
 }
 
 // Import slugify helper for content slug generation
@@ -32,168 +25,148 @@ import slugify from '../helpers/slugify.js';
 // ---- Helper Functions ----
 
 /**
- * Resolve the database file path from environment or default
+ * Parse the stored image variants (JSON) of a content row
  */
-function resolveDbPath() {
-  const fromEnv = process.env.DB_FILE;
-  if (fromEnv) return fromEnv;
-  const dataDir = path.join(__dirname, '..', 'data');
-  fs.mkdirSync(dataDir, { recursive: true });
-  return path.join(dataDir, 'app.db');
+function parseImageVariants(json) {
+  if (!json) return [];
+  try {
+    return JSON.parse(json);
+  } catch {
+    return [];
+  }
 }
 
 /**
- * Check if a column exists in a table
+ * Turn free user input into a safe FTS5 query (AND of prefix terms)
+ * Returns null if the input contains no searchable term
  */
-function hasColumn(instance, table, col) {
-  const row = instance.prepare(`PRAGMA table_info(${table})`).all().find(c => c.name === col);
-  return !!row;
+function toFtsQuery(input) {
+  const terms = String(input || '')
+    .normalize('NFKC')
+    .match(/[\p{L}\p{N}]+/gu);
+  if (!terms) return null;
+  return terms.slice(0, 10).map(t => `"${t}"*`).join(' ');
 }
 
 /**
- * Generate a unique slug for content entries
+ * Write the full-text index entry of a content
  */
-function makeUniqueContentSlug(instance, baseSlug) {
-  let slug = baseSlug || 'eintrag';
-  const exists = (s) =>
-    !!instance.prepare(`SELECT 1 FROM contents WHERE slug = ? LIMIT 1`).get(s);
-  
-  if (!exists(slug)) return slug;
-  
-  let i = 2;
-  while (exists(`${slug}-${i}`)) i++;
-  return `${slug}-${i}`;
+function syncContentFts(instance, { id, title, description }) {
+  instance.prepare(`DELETE FROM contents_fts WHERE rowid = ?`).run(id);
+  instance.prepare(`
+    INSERT INTO contents_fts (rowid, title, description) VALUES (?, ?, ?)
+  `).run(id, title, description);
 }
 
 /**
- * Run all database migrations
+ * Replace the tags of a content ([{ slug, name }]); unknown tags are created, unused ones removed
  */
-function migrate(instance) {
-  // Enable WAL mode and foreign keys
-  instance.exec(`
-    PRAGMA journal_mode = WAL;
-    PRAGMA foreign_keys = ON;
-  `);
-
-  // App metadata table
-  instance.exec(`
-    CREATE TABLE IF NOT EXISTS app_meta (
-      key TEXT PRIMARY KEY,
-      value TEXT NOT NULL
-    );
-  `);
-
-  // Users table
-  instance.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      role TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('admin','user','editor')),
-      created_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
+function syncContentTags(instance, contentId, tags) {
+  instance.prepare(`DELETE FROM content_tags WHERE content_id = ?`).run(contentId);
+  
+  const insertTag = instance.prepare(`INSERT OR IGNORE INTO tags (slug, name) VALUES (?, ?)`);
+  const link = instance.prepare(`
+    INSERT OR IGNORE INTO content_tags (content_id, tag_id)
+    SELECT ?, id FROM tags WHERE slug = ?
   `);
-
-  // Add email column if not exists
-  if (!hasColumn(instance, 'users', 'email')) {
-    instance.exec(`ALTER TABLE users ADD COLUMN email TEXT;`);
-  }
-
-  // Add password_hash column if not exists
-  if (!hasColumn(instance, 'users', 'password_hash')) {
-    instance.exec(`ALTER TABLE users ADD COLUMN password_hash TEXT;`);
+  for (const { slug, name } of tags) {
+    insertTag.run(slug, name);
+    link.run(contentId, slug);
   }
+  
+  pruneUnusedTags(instance);
+}
 
-  // Create unique index on email (case-insensitive)
-  instance.exec(`
-    DROP INDEX IF EXISTS idx_users_email_unique;
-    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_nocase
-      ON users(email COLLATE NOCASE);
-  `);
-
-  // Backfill created_at for existing users
-  instance.exec(`
-    UPDATE users
-    SET created_at = datetime('now')
-    WHERE created_at IS NULL OR TRIM(created_at) = '';
-  `);
-
-  // Contents table for movies
-  instance.exec(`
-    CREATE TABLE IF NOT EXISTS contents (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      description TEXT NOT NULL,
-      category TEXT NOT NULL CHECK(category IN ('sifi','krimi','horror','komoedie')),
-      image_path TEXT NOT NULL,
-      owner_id INTEGER NOT NULL,
-      created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE CASCADE
-    );
-  `);
-
-  // Add slug column if not exists
-  if (!hasColumn(instance, 'contents', 'slug')) {
-    instance.exec(`ALTER TABLE contents ADD COLUMN slug TEXT;`);
-    console.log('[db] + column contents.slug');
-  }
+/**
+ * Delete tags that are no longer attached to any content
+ */
+function pruneUnusedTags(instance) {
+  instance.prepare(`
+    DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM content_tags)
+  `).run();
+}
 
-  // Backfill slugs for existing content
-  const rowsNeedingSlug = instance.prepare(`
-    SELECT id, title FROM contents WHERE slug IS NULL OR TRIM(slug) = ''
-  `).all();
+/**
+ * Load the tags of several contents at once
+ * @returns {Map<number, Array<{ slug: string, name: string }>>}
+ */
+function loadTagsByContent(instance, contentIds) {
+  const byContent = new Map(contentIds.map(id => [id, []]));
+  if (!contentIds.length) return byContent;
+  
+  const rows = instance.prepare(`
+    SELECT ct.content_id, t.slug, t.name
+    FROM content_tags ct
+    JOIN tags t ON t.id = ct.tag_id
+    WHERE ct.content_id IN (${contentIds.map(() => '?').join(', ')})
+    ORDER BY t.name COLLATE NOCASE ASC
+  `).all(...contentIds);
+  
+  for (const r of rows) byContent.get(r.content_id).push({ slug: r.slug, name: r.name });
+  return byContent;
+}
 
-  if (rowsNeedingSlug.length) {
-    const update = instance.prepare(`UPDATE contents SET slug = ? WHERE id = ?`);
-    const tx = instance.transaction((rows) => {
-      for (const r of rows) {
-        const base = slugify(r.title || '');
-        const unique = makeUniqueContentSlug(instance, base);
-        update.run(unique, r.id);
-      }
-    });
-    tx(rowsNeedingSlug);
-    console.log(`[db] backfilled ${rowsNeedingSlug.length} content slugs`);
-  }
-
-  // Create unique index on slug
-  instance.exec(`
-    CREATE UNIQUE INDEX IF NOT EXISTS idx_contents_slug_unique ON contents(slug);
+/**
+ * Replace the people of a content in one role ('director' or 'cast'), keeping the given order
+ */
+function syncContentPeople(instance, contentId, role, people) {
+  instance.prepare(`DELETE FROM content_people WHERE content_id = ? AND role = ?`).run(contentId, role);
+  
+  const insertPerson = instance.prepare(`INSERT OR IGNORE INTO people (slug, name) VALUES (?, ?)`);
+  const link = instance.prepare(`
+    INSERT OR IGNORE INTO content_people (content_id, person_id, role, position)
+    SELECT ?, id, ?, ? FROM people WHERE slug = ?
   `);
+  people.forEach(({ slug, name }, i) => {
+    insertPerson.run(slug, name);
+    link.run(contentId, role, i, slug);
+  });
+  
+  pruneUnusedPeople(instance);
+}
 
-  // Performance indexes for contents
-  instance.exec(`
-    CREATE INDEX IF NOT EXISTS idx_contents_created_at ON contents(created_at DESC);
-    CREATE INDEX IF NOT EXISTS idx_contents_category ON contents(category);
-    CREATE INDEX IF NOT EXISTS idx_contents_owner ON contents(owner_id);
-  `);
+/**
+ * Delete people that are no longer linked to any content
+ */
+function pruneUnusedPeople(instance) {
+  instance.prepare(`
+    DELETE FROM people WHERE id NOT IN (SELECT person_id FROM content_people)
+  `).run();
+}
 
-  // Likes table
-  instance.exec(`
-    CREATE TABLE IF NOT EXISTS likes (
-      user_id INTEGER NOT NULL,
-      content_id INTEGER NOT NULL,
-      created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      PRIMARY KEY (user_id, content_id),
-      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
-      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE
-    );
-    CREATE INDEX IF NOT EXISTS idx_likes_content ON likes(content_id);
-    CREATE INDEX IF NOT EXISTS idx_likes_user ON likes(user_id);
-  `);
+/**
+ * Load the people of one role for several contents at once (in entered order)
+ * @returns {Map<number, Array<{ slug: string, name: string }>>}
+ */
+function loadPeopleByContent(instance, contentIds, role) {
+  const byContent = new Map(contentIds.map(id => [id, []]));
+  if (!contentIds.length) return byContent;
+  
+  const rows = instance.prepare(`
+    SELECT cp.content_id, p.slug, p.name
+    FROM content_people cp
+    JOIN people p ON p.id = cp.person_id
+    WHERE cp.role = ? AND cp.content_id IN (${contentIds.map(() => '?').join(', ')})
+    ORDER BY cp.position ASC
+  `).all(role, ...contentIds);
+  
+  for (const r of rows) byContent.get(r.content_id).push({ slug: r.slug, name: r.name });
+  return byContent;
+}
 
-  // Favorites table
-  instance.exec(`
-    CREATE TABLE IF NOT EXISTS favorites (
-      user_id INTEGER NOT NULL,
-      content_id INTEGER NOT NULL,
-      created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      PRIMARY KEY (user_id, content_id),
-      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
-      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE
-    );
-    CREATE INDEX IF NOT EXISTS idx_fav_content ON favorites(content_id);
-    CREATE INDEX IF NOT EXISTS idx_fav_user ON favorites(user_id);
-  `);
+/**
+ * Generate a unique slug for content entries
+ */
+function makeUniqueContentSlug(instance, baseSlug) {
+  let slug = baseSlug || 'eintrag';
+  const exists = (s) =>
+    !!instance.prepare(`SELECT 1 FROM contents WHERE slug = ? LIMIT 1`).get(s);
+  
+  if (!exists(slug)) return slug;
+  
+  let i = 2;
+  while (exists(`${slug}-${i}`)) i++;
+  return `${slug}-${i}`;
 }
 
 // Demo seed marker
@@ -223,26 +196,45 @@ function seedDemoOnce(instance) {
 }
 
 /**
- * Initialize the database
+ * Initialize the database (a file, or an empty in-memory database with DB_MODE=memory)
+ * Pending migrations are applied unless DB_AUTO_MIGRATE=false; then the schema must be up to date
+ * (npm run migrate -- up), otherwise startup fails
  */
-function ensureDatabase() {
-  if (!Database) return null;
-  
-  const dbPath = resolveDbPath();
-  console.log('[db] using:', path.resolve(dbPath));
+async function ensureDatabase() {
+  const memory = dbMode() === 'memory';
+  const dbPath = memory ? ':memory:' : resolveDbPath();
+  console.log('[db] using:', memory ? 'in-memory (DB_MODE=memory, Daten gehen beim Beenden verloren)' : path.resolve(dbPath));
   
   const instance = new Database(dbPath, {});
-  migrate(instance);
+  configureConnection(instance);
+  
+  const migrations = await loadMigrations();
+  if (!memory && process.env.DB_AUTO_MIGRATE === 'false') {
+    const pending = getMigrationStatus(instance, migrations).filter(m => !m.appliedAt);
+    if (pending.length) {
+      instance.close();
+      throw new Error(`[db] ${pending.length} ausstehende Migration(en) – mit "npm run migrate -- up" anwenden.`);
+    }
+  } else {
+    migrateUp(instance, migrations);
+  }
   seedDemoOnce(instance);
   
   // Flush WAL
-  instance.pragma('wal_checkpoint(FULL)');
+  if (!memory) instance.pragma('wal_checkpoint(FULL)');
   
   return instance;
 }
 
 // Initialize database
-db = ensureDatabase();
+db = await ensureDatabase();
+
+/**
+ * Whether the database lives in memory only (DB_MODE=memory)
+ */
+export function isMemoryDatabase() {
+  return db.memory;
+}
 
 // ---- Graceful Shutdown ----
 function closeDb() {
@@ -263,12 +255,12 @@ process.on('SIGTERM', () => { closeDb(); process.exit(0); });
  * Get all users from the database
  */
 export function getAllUsers() {
-  if (!db) return fallbackUsers.map(u => ({ ...u, email: null }));
-  
   const rows = db.prepare(`
-    SELECT id, name, role, email, created_at
-    FROM users
-    ORDER BY id ASC
+    SELECT
+      u.id, u.name, u.role, u.email, u.created_at, u.disabled_at, u.totp_enabled_at,
+      (SELECT COUNT(*) FROM contents c WHERE c.owner_id = u.id) AS content_count
+    FROM users u
+    ORDER BY u.id ASC
   `).all();
   
   return rows.map(r => ({
@@ -276,15 +268,40 @@ export function getAllUsers() {
     name: r.name,
     role: r.role,
     email: r.email || null,
+    disabled: !!r.disabled_at,
+    twoFactorEnabled: !!r.totp_enabled_at,
+    contentCount: r.content_count ?? 0,
     createdAt: new Date(r.created_at),
   }));
 }
 
+/**
+ * Get user by ID (without password hash)
+ */
+export function getUserById(id) {
+  const r = db.prepare(`
+    SELECT id, name, role, email, created_at, disabled_at, email_verified_at, totp_enabled_at
+    FROM users WHERE id = ?
+  `).get(id);
+  
+  if (!r) return null;
+  
+  return {
+    id: r.id,
+    name: r.name,
+    role: r.role,
+    email: r.email || null,
+    disabled: !!r.disabled_at,
+    emailVerified: !!r.email_verified_at,
+    twoFactorEnabled: !!r.totp_enabled_at,
+    createdAt: new Date(r.created_at),
+  };
+}
+
 /**
  * Insert a new user (simple version without auth)
  */
 export function insertUser(name, role = 'user') {
-  if (!db) return null;
   const info = db.prepare(`
     INSERT INTO users (name, role, created_at)
     VALUES (?, ?, datetime('now'))
@@ -296,9 +313,8 @@ export function insertUser(name, role = 'user') {
  * Get user by email for authentication
  */
 export function getUserByEmail(email) {
-  if (!db) return null;
   return db.prepare(`
-    SELECT id, name, role, email, password_hash, created_at
+    SELECT id, name, role, email, password_hash, created_at, disabled_at, email_verified_at, totp_enabled_at
     FROM users WHERE email = ?
   `).get(email);
 }
@@ -307,7 +323,6 @@ export function getUserByEmail(email) {
  * Create a new user with full registration data
  */
 export function createUser({ name, email, passwordHash, role = 'user' }) {
-  if (!db) return null;
   const stmt = db.prepare(`
     INSERT INTO users (name, email, password_hash, role, created_at)
     VALUES (?, ?, ?, ?, datetime('now'))
@@ -316,30 +331,305 @@ export function createUser({ name, email, passwordHash, role = 'user' }) {
   return info.lastInsertRowid;
 }
 
+/**
+ * Get the password hash of a user (for re-authentication)
+ */
+export function getUserPasswordHash(id) {
+  return db.prepare(`SELECT password_hash FROM users WHERE id = ?`).get(id)?.password_hash ?? null;
+}
+
+/**
+ * Change the display name of a user
+ */
+export function updateUserName({ id, name }) {
+  return db.prepare(`UPDATE users SET name = ? WHERE id = ?`).run(name, id).changes;
+}
+
+/**
+ * Change the email address of a user; the new address has to be verified again
+ * Throws an error with code EMAIL_TAKEN if the address belongs to another account
+ */
+export function updateUserEmail({ id, email }) {
+  try {
+    return db.prepare(`
+      UPDATE users SET email = ?, email_verified_at = NULL WHERE id = ?
+    `).run(email, id).changes;
+  } catch (err) {
+    if (err.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+    const taken = new Error('Diese E-Mail ist bereits registriert.');
+    taken.code = 'EMAIL_TAKEN';
+    throw taken;
+  }
+}
+
+/**
+ * Replace the password hash of a user
+ */
+export function updateUserPassword({ id, passwordHash }) {
+  return db.prepare(`UPDATE users SET password_hash = ? WHERE id = ?`).run(passwordHash, id).changes;
+}
+
+/**
+ * Mark the email address of a user as verified
+ */
+export function markEmailVerified(id) {
+  return db.prepare(`
+    UPDATE users
+    SET email_verified_at = datetime('now')
+    WHERE id = ? AND email_verified_at IS NULL
+  `).run(id).changes;
+}
+
+/**
+ * Count admins that are not disabled
+ */
+export function countActiveAdmins() {
+  return db.prepare(`
+    SELECT COUNT(*) AS c FROM users WHERE role = 'admin' AND disabled_at IS NULL
+  `).get().c;
+}
+
+/**
+ * Change the role of a user
+ */
+export function updateUserRole({ id, role }) {
+  return db.prepare(`UPDATE users SET role = ? WHERE id = ?`).run(role, id).changes;
+}
+
+/**
+ * Disable or re-enable a user account
+ */
+export function setUserDisabled({ id, disabled }) {
+  return db.prepare(`
+    UPDATE users
+    SET disabled_at = ${disabled ? "datetime('now')" : 'NULL'}
+    WHERE id = ?
+  `).run(id).changes;
+}
+
+/**
+ * Delete a user
+ * Their contents are either handed over to another user (reassignTo) or deleted with them.
+ * Likes, favorites, ratings, reviews and tokens are removed via cascade.
+ * @param {Object} options
+ * @param {number} options.id - User to delete
+ * @param {number|null} options.reassignTo - New owner for the contents (null = delete contents)
+ * @returns {{ deleted: number, removedImagePaths: string[] }} Image paths of deleted contents (for file cleanup)
+ */
+export function deleteUser({ id, reassignTo = null }) {
+  const tx = db.transaction(() => {
+    let removedImagePaths = [];
+    
+    if (reassignTo) {
+      db.prepare(`UPDATE contents SET owner_id = ? WHERE owner_id = ?`).run(reassignTo, id);
+    } else {
+      const owned = db.prepare(`SELECT id, image_path FROM contents WHERE owner_id = ?`).all(id);
+      removedImagePaths = owned.map(c => c.image_path).filter(Boolean);
+      const removeFts = db.prepare(`DELETE FROM contents_fts WHERE rowid = ?`);
+      for (const c of owned) removeFts.run(c.id);
+      db.prepare(`DELETE FROM contents WHERE owner_id = ?`).run(id);
+    }
+    
+    const deleted = db.prepare(`DELETE FROM users WHERE id = ?`).run(id).changes;
+    pruneUnusedTags(db);
+    pruneUnusedPeople(db);
+    return { deleted, removedImagePaths };
+  });
+  return tx();
+}
+
+// ========================================
+// PUBLIC API - Categories
+// ========================================
+
+function mapCategory(r) {
+  return {
+    id: r.id,
+    slug: r.slug,
+    label: r.label,
+    sortOrder: r.sort_order,
+    retired: !!r.retired_at,
+    contentCount: r.content_count ?? 0,
+  };
+}
+
+/**
+ * List categories in display order (active ones only unless includeRetired)
+ */
+export function listCategories({ includeRetired = false } = {}) {
+  const rows = db.prepare(`
+    SELECT
+      cat.*,
+      (SELECT COUNT(*) FROM contents c WHERE c.category = cat.slug) AS content_count
+    FROM categories cat
+    ${includeRetired ? '' : 'WHERE cat.retired_at IS NULL'}
+    ORDER BY cat.sort_order ASC, cat.id ASC
+  `).all();
+  
+  return rows.map(mapCategory);
+}
+
+/**
+ * Get a category by slug (including retired ones)
+ */
+export function getCategoryBySlug(slug) {
+  const r = db.prepare(`SELECT * FROM categories WHERE slug = ?`).get(slug);
+  return r ? mapCategory(r) : null;
+}
+
+/**
+ * Get a category by ID
+ */
+export function getCategoryById(id) {
+  const r = db.prepare(`SELECT * FROM categories WHERE id = ?`).get(id);
+  return r ? mapCategory(r) : null;
+}
+
+/**
+ * Create a category at the end of the list
+ */
+export function createCategory({ slug, label }) {
+  return db.prepare(`
+    INSERT INTO categories (slug, label, sort_order)
+    VALUES (?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM categories))
+  `).run(slug, label).lastInsertRowid;
+}
+
+/**
+ * Rename a category (the slug stays stable for URLs and existing contents)
+ */
+export function updateCategoryLabel({ id, label }) {
+  return db.prepare(`UPDATE categories SET label = ? WHERE id = ?`).run(label, id).changes;
+}
+
+/**
+ * Move a category one position up (-1) or down (+1) in the display order
+ */
+export function moveCategory({ id, direction }) {
+  const tx = db.transaction(() => {
+    const ids = db.prepare(`
+      SELECT id FROM categories ORDER BY sort_order ASC, id ASC
+    `).all().map(r => r.id);
+    
+    const from = ids.indexOf(id);
+    const to = from + direction;
+    if (from < 0 || to < 0 || to >= ids.length) return 0;
+    
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    
+    // Renumber all rows so gaps and duplicates from older data disappear
+    const update = db.prepare(`UPDATE categories SET sort_order = ? WHERE id = ?`);
+    ids.forEach((catId, i) => update.run(i + 1, catId));
+    return 1;
+  });
+  return tx();
+}
+
+/**
+ * Retire or reactivate a category
+ */
+export function setCategoryRetired({ id, retired }) {
+  return db.prepare(`
+    UPDATE categories
+    SET retired_at = ${retired ? "datetime('now')" : 'NULL'}
+    WHERE id = ?
+  `).run(id).changes;
+}
+
 // ========================================
 // PUBLIC API - Contents
 // ========================================
 
+/**
+ * List the image references of all contents (for the upload consistency check)
+ * @returns {Array<{ id: number, slug: string, title: string, imagePath: string, imageVariants: Object[] }>}
+ */
+export function listContentImages() {
+  return db.prepare(`
+    SELECT id, slug, title, image_path, image_variants FROM contents ORDER BY id
+  `).all().map(r => ({
+    id: r.id,
+    slug: r.slug,
+    title: r.title,
+    imagePath: r.image_path,
+    imageVariants: parseImageVariants(r.image_variants),
+  }));
+}
+
+/**
+ * List all contents with owner, category, metadata, tags, people and like/rating counts (for the catalogue export)
+ * Oldest first, so that an import recreates them in the original order
+ */
+export function listContentsForExport() {
+  const rows = db.prepare(`
+    SELECT
+      c.id, c.slug, c.title, c.description, c.category, cat.label AS category_label,
+      c.image_path, c.image_variants, c.created_at,
+      c.release_year, c.runtime_minutes, c.country, c.language,
+      c.owner_id, u.name AS owner_name, u.email AS owner_email,
+      (SELECT COUNT(*) FROM likes l WHERE l.content_id = c.id) AS like_count,
+      (SELECT AVG(r.score) FROM ratings r WHERE r.content_id = c.id) AS avg_rating,
+      (SELECT COUNT(*) FROM ratings r WHERE r.content_id = c.id) AS rating_count
+    FROM contents c
+    LEFT JOIN users u ON u.id = c.owner_id
+    LEFT JOIN categories cat ON cat.slug = c.category
+    ORDER BY c.created_at ASC, c.id ASC
+  `).all();
+  
+  const ids = rows.map(r => r.id);
+  const tagsByContent = loadTagsByContent(db, ids);
+  const directorsByContent = loadPeopleByContent(db, ids, 'director');
+  const castByContent = loadPeopleByContent(db, ids, 'cast');
+  
+  return rows.map(r => ({
+    id: r.id,
+    slug: r.slug,
+    title: r.title,
+    description: r.description,
+    category: r.category,
+    categoryLabel: r.category_label ?? r.category,
+    imagePath: r.image_path,
+    imageVariants: parseImageVariants(r.image_variants),
+    createdAt: new Date(r.created_at),
+    releaseYear: r.release_year,
+    runtimeMinutes: r.runtime_minutes,
+    country: r.country,
+    language: r.language,
+    ownerId: r.owner_id,
+    ownerName: r.owner_name,
+    ownerEmail: r.owner_email,
+    likeCount: r.like_count ?? 0,
+    avgRating: r.avg_rating ?? null,
+    ratingCount: r.rating_count ?? 0,
+    tags: tagsByContent.get(r.id),
+    directors: directorsByContent.get(r.id),
+    cast: castByContent.get(r.id),
+  }));
+}
+
 /**
  * List all contents with like counts
  */
 export function listContents() {
-  if (!db) return [];
-  
   const rows = db.prepare(`
     SELECT
       c.id,
       c.title,
       c.description,
       c.category,
+      cat.label AS category_label,
       c.image_path,
+      c.image_variants,
       c.slug,
       c.created_at,
       c.owner_id,
       u.name AS owner_name,
-      (SELECT COUNT(*) FROM likes l WHERE l.content_id = c.id) AS like_count
+      (SELECT COUNT(*) FROM likes l WHERE l.content_id = c.id) AS like_count,
+      (SELECT AVG(r.score) FROM ratings r WHERE r.content_id = c.id) AS avg_rating,
+      (SELECT COUNT(*) FROM ratings r WHERE r.content_id = c.id) AS rating_count
     FROM contents c
     LEFT JOIN users u ON u.id = c.owner_id
+    LEFT JOIN categories cat ON cat.slug = c.category
     ORDER BY c.created_at DESC
   `).all();
   
@@ -348,44 +638,76 @@ export function listContents() {
     title: r.title,
     description: r.description,
     category: r.category,
+    categoryLabel: r.category_label ?? r.category,
     imagePath: r.image_path,
+    imageVariants: parseImageVariants(r.image_variants),
     slug: r.slug,
     ownerId: r.owner_id,
     ownerName: r.owner_name,
     likeCount: r.like_count ?? 0,
+    avgRating: r.avg_rating ?? null,
+    ratingCount: r.rating_count ?? 0,
     createdAt: new Date(r.created_at),
   }));
 }
 
 /**
  * Insert a new content entry (movie)
+ * Metadata (releaseYear, runtimeMinutes, country, language, directors, cast) is optional
  */
-export function insertContent({ title, description, category, imagePath, ownerId }) {
-  if (!db) return null;
-  
+export function insertContent({
+  title,
+  description,
+  category,
+  imagePath,
+  imageVariants = [],
+  ownerId,
+  tags = [],
+  releaseYear = null,
+  runtimeMinutes = null,
+  country = null,
+  language = null,
+  directors = [],
+  cast = [],
+}) {
   const baseSlug = slugify(title);
   const slug = makeUniqueContentSlug(db, baseSlug);
   
   const stmt = db.prepare(`
-    INSERT INTO contents (title, description, category, image_path, owner_id, slug, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    INSERT INTO contents (
+      title, description, category, image_path, image_variants, owner_id, slug,
+      release_year, runtime_minutes, country, language, created_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
   `);
-  const info = stmt.run(title, description, category, imagePath, ownerId, slug);
-  return info.lastInsertRowid;
+  
+  const tx = db.transaction(() => {
+    const info = stmt.run(
+      title, description, category, imagePath, JSON.stringify(imageVariants), ownerId, slug,
+      releaseYear, runtimeMinutes, country, language
+    );
+    const id = info.lastInsertRowid;
+    syncContentFts(db, { id, title, description });
+    syncContentTags(db, id, tags);
+    syncContentPeople(db, id, 'director', directors);
+    syncContentPeople(db, id, 'cast', cast);
+    return id;
+  });
+  return tx();
 }
 
 /**
  * Get content by slug
  */
 export function getContentBySlug(slug) {
-  if (!db) return null;
-  
   const r = db.prepare(`
     SELECT
-      c.id, c.title, c.description, c.category, c.image_path, c.slug,
-      c.created_at, c.owner_id, u.name AS owner_name
+      c.id, c.title, c.description, c.category, cat.label AS category_label, c.image_path, c.image_variants, c.slug,
+      c.created_at, c.owner_id, u.name AS owner_name,
+      c.release_year, c.runtime_minutes, c.country, c.language
     FROM contents c
     LEFT JOIN users u ON u.id = c.owner_id
+    LEFT JOIN categories cat ON cat.slug = c.category
     WHERE c.slug = ?
     LIMIT 1
   `).get(slug);
@@ -397,11 +719,20 @@ export function getContentBySlug(slug) {
     title: r.title,
     description: r.description,
     category: r.category,
+    categoryLabel: r.category_label ?? r.category,
     imagePath: r.image_path,
+    imageVariants: parseImageVariants(r.image_variants),
     slug: r.slug,
     ownerId: r.owner_id,
     ownerName: r.owner_name,
     createdAt: new Date(r.created_at),
+    releaseYear: r.release_year,
+    runtimeMinutes: r.runtime_minutes,
+    country: r.country,
+    language: r.language,
+    tags: loadTagsByContent(db, [r.id]).get(r.id),
+    directors: loadPeopleByContent(db, [r.id], 'director').get(r.id),
+    cast: loadPeopleByContent(db, [r.id], 'cast').get(r.id),
   };
 }
 
@@ -409,14 +740,14 @@ export function getContentBySlug(slug) {
  * Get content by ID
  */
 export function getContentById(id) {
-  if (!db) return null;
-  
   const r = db.prepare(`
     SELECT
-      c.id, c.title, c.description, c.category, c.image_path, c.slug,
-      c.created_at, u.name AS owner_name, c.owner_id
+      c.id, c.title, c.description, c.category, cat.label AS category_label, c.image_path, c.image_variants, c.slug,
+      c.created_at, u.name AS owner_name, c.owner_id,
+      c.release_year, c.runtime_minutes, c.country, c.language
     FROM contents c
     LEFT JOIN users u ON u.id = c.owner_id
+    LEFT JOIN categories cat ON cat.slug = c.category
     WHERE c.id = ?
     LIMIT 1
   `).get(id);
@@ -428,44 +759,110 @@ export function getContentById(id) {
     title: r.title,
     description: r.description,
     category: r.category,
+    categoryLabel: r.category_label ?? r.category,
     imagePath: r.image_path,
+    imageVariants: parseImageVariants(r.image_variants),
     slug: r.slug,
     ownerId: r.owner_id,
     ownerName: r.owner_name,
     createdAt: new Date(r.created_at),
+    releaseYear: r.release_year,
+    runtimeMinutes: r.runtime_minutes,
+    country: r.country,
+    language: r.language,
+    tags: loadTagsByContent(db, [r.id]).get(r.id),
+    directors: loadPeopleByContent(db, [r.id], 'director').get(r.id),
+    cast: loadPeopleByContent(db, [r.id], 'cast').get(r.id),
   };
 }
 
 /**
  * Update content
+ * Metadata columns are always written (null clears them); tags, directors and cast are only replaced if given
+ * imageVariants are only written together with a new imagePath
  */
-export function updateContent({ id, title, description, category, imagePath }) {
-  if (!db) return 0;
-  
-  if (imagePath) {
-    const stmt = db.prepare(`
-      UPDATE contents
-      SET title = ?, description = ?, category = ?, image_path = ?
-      WHERE id = ?
-    `);
-    return stmt.run(title, description, category, imagePath, id).changes;
-  } else {
-    const stmt = db.prepare(`
-      UPDATE contents
-      SET title = ?, description = ?, category = ?
-      WHERE id = ?
-    `);
-    return stmt.run(title, description, category, id).changes;
-  }
+export function updateContent({
+  id,
+  title,
+  description,
+  category,
+  imagePath,
+  imageVariants = [],
+  tags,
+  releaseYear = null,
+  runtimeMinutes = null,
+  country = null,
+  language = null,
+  directors,
+  cast,
+}) {
+  const tx = db.transaction(() => {
+    let changes;
+    if (imagePath) {
+      const stmt = db.prepare(`
+        UPDATE contents
+        SET title = ?, description = ?, category = ?, image_path = ?, image_variants = ?,
+          release_year = ?, runtime_minutes = ?, country = ?, language = ?
+        WHERE id = ?
+      `);
+      changes = stmt.run(
+        title, description, category, imagePath, JSON.stringify(imageVariants),
+        releaseYear, runtimeMinutes, country, language, id
+      ).changes;
+    } else {
+      const stmt = db.prepare(`
+        UPDATE contents
+        SET title = ?, description = ?, category = ?,
+          release_year = ?, runtime_minutes = ?, country = ?, language = ?
+        WHERE id = ?
+      `);
+      changes = stmt.run(
+        title, description, category,
+        releaseYear, runtimeMinutes, country, language, id
+      ).changes;
+    }
+    if (changes) syncContentFts(db, { id, title, description });
+    if (changes && tags) syncContentTags(db, id, tags);
+    if (changes && directors) syncContentPeople(db, id, 'director', directors);
+    if (changes && cast) syncContentPeople(db, id, 'cast', cast);
+    return changes;
+  });
+  return tx();
 }
 
 /**
  * Delete content by ID
  */
 export function deleteContentById(id) {
-  if (!db) return 0;
   const stmt = db.prepare(`DELETE FROM contents WHERE id = ?`);
-  return stmt.run(id).changes;
+  const tx = db.transaction(() => {
+    db.prepare(`DELETE FROM contents_fts WHERE rowid = ?`).run(id);
+    const changes = stmt.run(id).changes;
+    pruneUnusedTags(db);
+    pruneUnusedPeople(db);
+    return changes;
+  });
+  return tx();
+}
+
+// ========================================
+// PUBLIC API - Tags
+// ========================================
+
+/**
+ * Get a tag by slug incl. the number of tagged contents
+ */
+export function getTagBySlug(slug) {
+  const r = db.prepare(`
+    SELECT t.id, t.slug, t.name, COUNT(ct.content_id) AS content_count
+    FROM tags t
+    LEFT JOIN content_tags ct ON ct.tag_id = t.id
+    WHERE t.slug = ?
+    GROUP BY t.id
+  `).get(slug);
+  
+  if (!r) return null;
+  return { id: r.id, slug: r.slug, name: r.name, contentCount: r.content_count };
 }
 
 // ========================================
@@ -476,7 +873,6 @@ export function deleteContentById(id) {
  * Get like count for a content
  */
 export function getLikeCount(contentId) {
-  if (!db) return 0;
   const row = db.prepare(
     `SELECT COUNT(*) AS c FROM likes WHERE content_id = ?`
   ).get(contentId);
@@ -487,7 +883,6 @@ export function getLikeCount(contentId) {
  * Check if user has liked a content
  */
 export function hasUserLiked({ userId, contentId }) {
-  if (!db) return false;
   const row = db.prepare(`
     SELECT 1 FROM likes
     WHERE user_id = ? AND content_id = ?
@@ -500,8 +895,6 @@ export function hasUserLiked({ userId, contentId }) {
  * Toggle like for a user on a content
  */
 export function toggleLike({ userId, contentId }) {
-  if (!db) return { liked: false, count: 0 };
-  
   const liked = hasUserLiked({ userId, contentId });
   
   if (liked) {
@@ -523,7 +916,6 @@ export function toggleLike({ userId, contentId }) {
  * Get all content IDs that a user has liked
  */
 export function getUserLikedIds(userId) {
-  if (!db) return new Set();
   const rows = db.prepare(`
     SELECT content_id FROM likes WHERE user_id = ?
   `).all(userId);
@@ -538,7 +930,6 @@ export function getUserLikedIds(userId) {
  * Check if content is in user's favorites
  */
 export function isFavorite({ userId, contentId }) {
-  if (!db) return false;
   const row = db.prepare(`
     SELECT 1 FROM favorites
     WHERE user_id = ? AND content_id = ?
@@ -551,8 +942,6 @@ export function isFavorite({ userId, contentId }) {
  * Toggle favorite for a user on a content
  */
 export function toggleFavorite({ userId, contentId }) {
-  if (!db) return { favorite: false };
-  
   const fav = isFavorite({ userId, contentId });
   
   if (fav) {
@@ -571,34 +960,892 @@ export function toggleFavorite({ userId, contentId }) {
 }
 
 /**
- * List all favorites for a user
+ * List favorites of a user, most recently added first
+ * @param {number} userId
+ * @param {Object} options
+ * @param {number|null} options.limit - Page size (null = all rows)
+ * @param {number} options.page - 1-based page number
+ * @returns {{ items: Object[], total: number }}
  */
-export function listFavoritesOfUser(userId) {
-  if (!db) return [];
+export function listFavoritesOfUser(userId, { limit = null, page = 1 } = {}) {
+  const total = db.prepare(`
+    SELECT COUNT(*) AS c FROM favorites WHERE user_id = ?
+  `).get(userId).c;
+  
+  const params = [userId];
+  let limitSql = '';
+  if (limit) {
+    limitSql = 'LIMIT ? OFFSET ?';
+    params.push(limit, (Math.max(1, page) - 1) * limit);
+  }
   
   const rows = db.prepare(`
     SELECT
-      c.id, c.title, c.description, c.category, c.image_path, c.slug,
-      c.created_at, u.name AS owner_name
+      c.id, c.title, c.description, c.category, cat.label AS category_label, c.image_path, c.image_variants, c.slug,
+      c.created_at, c.owner_id, u.name AS owner_name, c.release_year, c.runtime_minutes
     FROM favorites f
     JOIN contents c ON c.id = f.content_id
     LEFT JOIN users u ON u.id = c.owner_id
+    LEFT JOIN categories cat ON cat.slug = c.category
     WHERE f.user_id = ?
-    ORDER BY f.created_at DESC
-  `).all(userId);
+    ORDER BY f.created_at DESC, c.id DESC
+    ${limitSql}
+  `).all(...params);
   
-  return rows.map(r => ({
+  const items = rows.map(r => ({
     id: r.id,
     title: r.title,
     description: r.description,
     category: r.category,
+    categoryLabel: r.category_label ?? r.category,
     imagePath: r.image_path,
+    imageVariants: parseImageVariants(r.image_variants),
     slug: r.slug,
+    ownerId: r.owner_id,
+    ownerName: r.owner_name,
+    createdAt: new Date(r.created_at),
+    releaseYear: r.release_year,
+    runtimeMinutes: r.runtime_minutes,
+  }));
+  
+  const ids = items.map(i => i.id);
+  const tagsByContent = loadTagsByContent(db, ids);
+  const directorsByContent = loadPeopleByContent(db, ids, 'director');
+  for (const item of items) {
+    item.tags = tagsByContent.get(item.id);
+    item.directors = directorsByContent.get(item.id);
+  }
+  
+  return { items, total };
+}
+
+// ========================================
+// PUBLIC API - Ratings
+// ========================================
+
+/**
+ * Get the rating a user gave to a content (1-10) or null
+ */
+export function getUserRating({ userId, contentId }) {
+  const row = db.prepare(`
+    SELECT score FROM ratings
+    WHERE user_id = ? AND content_id = ?
+    LIMIT 1
+  `).get(userId, contentId);
+  return row?.score ?? null;
+}
+
+/**
+ * Insert or update the rating of a user for a content
+ */
+export function upsertRating({ userId, contentId, score }) {
+  return db.prepare(`
+    INSERT INTO ratings (user_id, content_id, score)
+    VALUES (?, ?, ?)
+    ON CONFLICT(user_id, content_id)
+    DO UPDATE SET score = excluded.score, updated_at = datetime('now')
+  `).run(userId, contentId, score).changes;
+}
+
+/**
+ * Remove the rating of a user for a content
+ */
+export function removeRating({ userId, contentId }) {
+  return db.prepare(`
+    DELETE FROM ratings
+    WHERE user_id = ? AND content_id = ?
+  `).run(userId, contentId).changes;
+}
+
+/**
+ * Get average, count and score distribution (1-10) for a content
+ */
+export function getRatingStats(contentId) {
+  const empty = Array.from({ length: 10 }, (_, i) => ({ score: 10 - i, count: 0, percent: 0 }));
+  
+  const rows = db.prepare(`
+    SELECT score, COUNT(*) AS c
+    FROM ratings
+    WHERE content_id = ?
+    GROUP BY score
+  `).all(contentId);
+  
+  const byScore = new Map(rows.map(r => [r.score, r.c]));
+  const count = rows.reduce((sum, r) => sum + r.c, 0);
+  const total = rows.reduce((sum, r) => sum + r.score * r.c, 0);
+  
+  const distribution = empty.map(d => {
+    const c = byScore.get(d.score) || 0;
+    return { score: d.score, count: c, percent: count ? Math.round((c / count) * 100) : 0 };
+  });
+  
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : null,
+    count,
+    distribution,
+  };
+}
+
+// ========================================
+// PUBLIC API - Reviews
+// ========================================
+
+/**
+ * Map a review row to the public review shape
+ */
+function mapReview(r) {
+  return {
+    id: r.id,
+    contentId: r.content_id,
+    ownerId: r.user_id,
     ownerName: r.owner_name,
+    body: r.body,
+    hidden: !!r.hidden,
+    hiddenByName: r.hidden_by_name || null,
+    hiddenAt: r.hidden_at ? new Date(r.hidden_at) : null,
+    edited: (r.revision_count ?? 0) > 0,
+    createdAt: new Date(r.created_at),
+    updatedAt: new Date(r.updated_at),
+  };
+}
+
+const REVIEW_SELECT = `
+  SELECT
+    r.id, r.content_id, r.user_id, r.body, r.hidden, r.hidden_at,
+    r.created_at, r.updated_at,
+    u.name AS owner_name,
+    hb.name AS hidden_by_name,
+    (SELECT COUNT(*) FROM review_revisions rr WHERE rr.review_id = r.id) AS revision_count
+  FROM reviews r
+  LEFT JOIN users u ON u.id = r.user_id
+  LEFT JOIN users hb ON hb.id = r.hidden_by
+`;
+
+/**
+ * List reviews of a content, newest first
+ * @param {Object} options
+ * @param {number} options.contentId - Content to list reviews for
+ * @param {boolean} options.includeHidden - Also return hidden reviews (moderators)
+ * @param {number|null} options.viewerId - Always include hidden reviews of this user
+ */
+export function listReviewsForContent({ contentId, includeHidden = false, viewerId = null }) {
+  const rows = db.prepare(`
+    ${REVIEW_SELECT}
+    WHERE r.content_id = ?
+      AND (r.hidden = 0 OR ? = 1 OR r.user_id = ?)
+    ORDER BY r.created_at DESC, r.id DESC
+  `).all(contentId, includeHidden ? 1 : 0, viewerId ?? -1);
+  
+  return rows.map(mapReview);
+}
+
+/**
+ * Get review by ID
+ */
+export function getReviewById(id) {
+  const r = db.prepare(`${REVIEW_SELECT} WHERE r.id = ? LIMIT 1`).get(id);
+  return r ? mapReview(r) : null;
+}
+
+/**
+ * Get the review a user wrote for a content
+ */
+export function getUserReview({ userId, contentId }) {
+  const r = db.prepare(`
+    ${REVIEW_SELECT}
+    WHERE r.user_id = ? AND r.content_id = ?
+    LIMIT 1
+  `).get(userId, contentId);
+  return r ? mapReview(r) : null;
+}
+
+/**
+ * Create a review (returns null if the user already reviewed the content)
+ */
+export function createReview({ userId, contentId, body }) {
+  const info = db.prepare(`
+    INSERT INTO reviews (content_id, user_id, body)
+    VALUES (?, ?, ?)
+    ON CONFLICT(content_id, user_id) DO NOTHING
+  `).run(contentId, userId, body);
+  return info.changes ? info.lastInsertRowid : null;
+}
+
+/**
+ * Update a review, keeping the previous text as revision
+ */
+export function updateReview({ id, body }) {
+  const tx = db.transaction(() => {
+    const current = db.prepare(`SELECT body FROM reviews WHERE id = ?`).get(id);
+    if (!current || current.body === body) return 0;
+    
+    db.prepare(`
+      INSERT INTO review_revisions (review_id, body)
+      VALUES (?, ?)
+    `).run(id, current.body);
+    
+    return db.prepare(`
+      UPDATE reviews
+      SET body = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(body, id).changes;
+  });
+  return tx();
+}
+
+/**
+ * Delete review by ID (revisions are removed via cascade)
+ */
+export function deleteReviewById(id) {
+  return db.prepare(`DELETE FROM reviews WHERE id = ?`).run(id).changes;
+}
+
+/**
+ * Hide or unhide a review (moderation)
+ */
+export function setReviewHidden({ id, hidden, moderatorId }) {
+  if (hidden) {
+    return db.prepare(`
+      UPDATE reviews
+      SET hidden = 1, hidden_by = ?, hidden_at = datetime('now')
+      WHERE id = ?
+    `).run(moderatorId, id).changes;
+  }
+  
+  return db.prepare(`
+    UPDATE reviews
+    SET hidden = 0, hidden_by = NULL, hidden_at = NULL
+    WHERE id = ?
+  `).run(id).changes;
+}
+
+/**
+ * List previous versions of a review, newest first
+ */
+export function listReviewRevisions(reviewId) {
+  const rows = db.prepare(`
+    SELECT id, body, created_at
+    FROM review_revisions
+    WHERE review_id = ?
+    ORDER BY created_at DESC, id DESC
+  `).all(reviewId);
+  
+  return rows.map(r => ({
+    id: r.id,
+    body: r.body,
+    createdAt: new Date(r.created_at),
+  }));
+}
+
+// ========================================
+// PUBLIC API - API Tokens
+// ========================================
+
+/**
+ * Store a new API token (hash only)
+ */
+export function createApiToken({ userId, name, prefix, tokenHash, scope = 'read', expiresAt = null }) {
+  const info = db.prepare(`
+    INSERT INTO api_tokens (user_id, name, prefix, token_hash, scope, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, name, prefix, tokenHash, scope, expiresAt);
+  return info.lastInsertRowid;
+}
+
+/**
+ * List all tokens of a user (without hashes), newest first
+ */
+export function listApiTokensOfUser(userId) {
+  const rows = db.prepare(`
+    SELECT id, name, prefix, scope, created_at, last_used_at, expires_at, revoked_at
+    FROM api_tokens
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+  `).all(userId);
+  
+  return rows.map(r => ({
+    id: r.id,
+    name: r.name,
+    prefix: r.prefix,
+    scope: r.scope,
+    createdAt: new Date(r.created_at),
+    lastUsedAt: r.last_used_at ? new Date(r.last_used_at) : null,
+    expiresAt: r.expires_at ? new Date(r.expires_at) : null,
+    revoked: !!r.revoked_at,
+    expired: !!r.expires_at && new Date(r.expires_at) <= new Date(),
+  }));
+}
+
+/**
+ * Get a usable (not revoked, not expired) token by its public prefix, incl. owner
+ */
+export function getActiveApiTokenByPrefix(prefix) {
+  const r = db.prepare(`
+    SELECT t.id, t.token_hash, t.scope, u.id AS user_id, u.name, u.email, u.role
+    FROM api_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.prefix = ?
+      AND u.disabled_at IS NULL
+      AND t.revoked_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > datetime('now'))
+    LIMIT 1
+  `).get(prefix);
+  
+  if (!r) return null;
+  
+  return {
+    id: r.id,
+    tokenHash: r.token_hash,
+    scope: r.scope,
+    user: { id: r.user_id, name: r.name, email: r.email, role: r.role },
+  };
+}
+
+/**
+ * Record the last use of a token
+ */
+export function touchApiToken(id) {
+  return db.prepare(`
+    UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?
+  `).run(id).changes;
+}
+
+/**
+ * Revoke a token of a user
+ */
+export function revokeApiToken({ id, userId }) {
+  return db.prepare(`
+    UPDATE api_tokens
+    SET revoked_at = datetime('now')
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `).run(id, userId).changes;
+}
+
+// ========================================
+// PUBLIC API - Mail Tokens
+// ========================================
+
+/**
+ * Store a new mail token (hash only); older unused tokens of the same purpose are discarded
+ */
+export function createUserToken({ userId, purpose, tokenHash, ttlMinutes }) {
+  const tx = db.transaction(() => {
+    db.prepare(`
+      DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    `).run(userId, purpose);
+    
+    return db.prepare(`
+      INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(userId, purpose, tokenHash, `+${ttlMinutes} minutes`).lastInsertRowid;
+  });
+  return tx();
+}
+
+/**
+ * Get the owner of a usable (unused, not expired) token without consuming it
+ */
+export function getUserTokenOwner({ tokenHash, purpose }) {
+  const r = db.prepare(`
+    SELECT t.user_id
+    FROM user_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND t.purpose = ?
+      AND t.used_at IS NULL
+      AND t.expires_at > datetime('now')
+      AND u.disabled_at IS NULL
+  `).get(tokenHash, purpose);
+  
+  return r ? r.user_id : null;
+}
+
+/**
+ * Consume a usable token (single use)
+ * @returns {number|null} Id of the token owner or null if the token is invalid, used or expired
+ */
+export function consumeUserToken({ tokenHash, purpose }) {
+  const tx = db.transaction(() => {
+    const userId = getUserTokenOwner({ tokenHash, purpose });
+    if (!userId) return null;
+    
+    db.prepare(`
+      UPDATE user_tokens SET used_at = datetime('now') WHERE token_hash = ?
+    `).run(tokenHash);
+    db.prepare(`
+      DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    `).run(userId, purpose);
+    return userId;
+  });
+  return tx();
+}
+
+// ========================================
+// PUBLIC API - Login & Registration Attempts
+// ========================================
+
+/**
+ * Record a login or registration attempt; attempts older than the retention period are removed
+ */
+export function recordAuthAttempt({ kind, outcome, ip, email = null, userId = null, userAgent = null, retentionDays }) {
+  const tx = db.transaction(() => {
+    db.prepare(`
+      DELETE FROM auth_attempts WHERE created_at < datetime('now', ?)
+    `).run(`-${retentionDays} days`);
+    
+    return db.prepare(`
+      INSERT INTO auth_attempts (kind, outcome, ip, email, user_id, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(kind, outcome, ip, email, userId, userAgent).lastInsertRowid;
+  });
+  return tx();
+}
+
+/**
+ * Seconds until each matching attempt of the time window expires, oldest first
+ * With sinceSuccess only attempts after the latest successful one (same ip/email) count
+ * @param {Object} options
+ * @param {'login'|'register'} options.kind
+ * @param {'ip'|'email'} options.by - Column to match value against
+ * @param {string} options.value
+ * @param {string[]} options.outcomes - Outcomes that count
+ * @param {number} options.windowMinutes
+ * @param {boolean} [options.sinceSuccess]
+ * @returns {number[]}
+ */
+export function listAuthAttemptExpiries({ kind, by, value, outcomes, windowMinutes, sinceSuccess = false }) {
+  const column = by === 'email' ? 'email' : 'ip';
+  const params = [`+${windowMinutes} minutes`, kind, value, ...outcomes, `-${windowMinutes} minutes`];
+  let successSql = '';
+  if (sinceSuccess) {
+    successSql = `AND id > COALESCE((
+      SELECT MAX(id) FROM auth_attempts WHERE kind = ? AND ${column} = ? AND outcome = 'success'
+    ), 0)`;
+    params.push(kind, value);
+  }
+  
+  const rows = db.prepare(`
+    SELECT CAST((julianday(created_at, ?) - julianday('now')) * 86400 AS INTEGER) + 1 AS seconds_left
+    FROM auth_attempts
+    WHERE kind = ? AND ${column} = ?
+      AND outcome IN (${outcomes.map(() => '?').join(', ')})
+      AND created_at > datetime('now', ?)
+      ${successSql}
+    ORDER BY id
+  `).all(...params);
+  
+  return rows.map(r => r.seconds_left);
+}
+
+/**
+ * IPs or email addresses with at least minCount matching attempts in the time window, most attempts first
+ * @returns {Array<{ value: string, count: number }>}
+ */
+export function listAuthAttemptSources({ kind, by, outcomes, windowMinutes, minCount }) {
+  const column = by === 'email' ? 'email' : 'ip';
+  return db.prepare(`
+    SELECT ${column} AS value, COUNT(*) AS count
+    FROM auth_attempts
+    WHERE kind = ? AND ${column} IS NOT NULL
+      AND outcome IN (${outcomes.map(() => '?').join(', ')})
+      AND created_at > datetime('now', ?)
+    GROUP BY ${column}
+    HAVING COUNT(*) >= ?
+    ORDER BY count DESC, value
+  `).all(kind, ...outcomes, `-${windowMinutes} minutes`, minCount);
+}
+
+/**
+ * List recorded attempts for the admin audit, newest first
+ * @param {Object} [options]
+ * @param {string} [options.kind] - 'login' or 'register' (default: both)
+ * @param {string} [options.email] - Part of the email address
+ * @param {string} [options.ip] - Exact IP address
+ * @param {boolean} [options.failedOnly] - Skip successful attempts (default: true)
+ * @returns {{ items: Array, total: number }}
+ */
+export function listAuthAttempts({ kind = '', email = '', ip = '', failedOnly = true, limit = null, page = 1 } = {}) {
+  const where = [];
+  const params = [];
+  
+  if (kind) {
+    where.push('a.kind = ?');
+    params.push(kind);
+  }
+  if (email) {
+    where.push(`a.email LIKE ? ESCAPE '\\'`);
+    params.push(`%${email.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (ip) {
+    where.push('a.ip = ?');
+    params.push(ip);
+  }
+  if (failedOnly) where.push(`a.outcome <> 'success'`);
+  
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`
+    SELECT COUNT(*) AS c FROM auth_attempts a ${whereSql}
+  `).get(...params).c;
+  
+  let limitSql = '';
+  if (limit) {
+    limitSql = 'LIMIT ? OFFSET ?';
+    params.push(limit, (Math.max(1, page) - 1) * limit);
+  }
+  
+  const rows = db.prepare(`
+    SELECT a.id, a.kind, a.outcome, a.ip, a.email, a.user_id, u.name AS user_name, a.user_agent, a.created_at
+    FROM auth_attempts a
+    LEFT JOIN users u ON u.id = a.user_id
+    ${whereSql}
+    ORDER BY a.id DESC
+    ${limitSql}
+  `).all(...params);
+  
+  const items = rows.map(r => ({
+    id: r.id,
+    kind: r.kind,
+    outcome: r.outcome,
+    ip: r.ip,
+    email: r.email,
+    userId: r.user_id,
+    userName: r.user_name,
+    userAgent: r.user_agent,
+    createdAt: new Date(r.created_at),
+  }));
+  
+  return { items, total };
+}
+
+// ========================================
+// PUBLIC API - Sessions
+// ========================================
+
+/**
+ * Get the stored data of a session that has not expired
+ * @returns {Object|null}
+ */
+export function getSessionData(sid) {
+  const r = db.prepare(`
+    SELECT data FROM sessions WHERE sid = ? AND expires_at > datetime('now')
+  `).get(sid);
+  
+  if (!r) return null;
+  try {
+    return JSON.parse(r.data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Insert or update a session; user agent and IP are kept from the first save that has them
+ * @param {Object} session
+ * @param {string} session.sid
+ * @param {Object} session.data - Session data (stored as JSON)
+ * @param {number|null} session.userId - Logged-in user, if any
+ * @param {Date} session.expiresAt
+ */
+export function saveSession({ sid, data, userId = null, userAgent = null, ip = null, expiresAt }) {
+  return db.prepare(`
+    INSERT INTO sessions (sid, data, user_id, user_agent, ip, expires_at)
+    VALUES (?, ?, ?, ?, ?, datetime(?))
+    ON CONFLICT(sid) DO UPDATE SET
+      data = excluded.data,
+      user_id = excluded.user_id,
+      user_agent = COALESCE(sessions.user_agent, excluded.user_agent),
+      ip = COALESCE(sessions.ip, excluded.ip),
+      last_seen_at = datetime('now'),
+      expires_at = excluded.expires_at
+  `).run(sid, JSON.stringify(data), userId, userAgent, ip, expiresAt.toISOString()).changes;
+}
+
+/**
+ * Record activity of a session and extend its expiry
+ */
+export function touchSession({ sid, expiresAt }) {
+  return db.prepare(`
+    UPDATE sessions
+    SET last_seen_at = datetime('now'), expires_at = datetime(?)
+    WHERE sid = ?
+  `).run(expiresAt.toISOString(), sid).changes;
+}
+
+/**
+ * Delete a session by its id (logout)
+ */
+export function deleteSession(sid) {
+  return db.prepare(`DELETE FROM sessions WHERE sid = ?`).run(sid).changes;
+}
+
+/**
+ * Delete all expired sessions
+ * @returns {number} Number of deleted sessions
+ */
+export function deleteExpiredSessions() {
+  return db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`).run().changes;
+}
+
+/**
+ * List the active sessions of a user, most recently used first
+ * The session id (sid) is only returned to recognize the current session and must not be shown
+ */
+export function listSessionsOfUser(userId) {
+  const rows = db.prepare(`
+    SELECT id, sid, user_agent, ip, created_at, last_seen_at, expires_at
+    FROM sessions
+    WHERE user_id = ? AND expires_at > datetime('now')
+    ORDER BY last_seen_at DESC, id DESC
+  `).all(userId);
+  
+  return rows.map(r => ({
+    id: r.id,
+    sid: r.sid,
+    userAgent: r.user_agent,
+    ip: r.ip,
     createdAt: new Date(r.created_at),
+    lastSeenAt: new Date(r.last_seen_at),
+    expiresAt: new Date(r.expires_at),
   }));
 }
 
+/**
+ * Delete a session of a user (revoke), optionally all except one
+ * @param {Object} options
+ * @param {number} options.userId
+ * @param {number} [options.id] - Session to delete (default: all sessions of the user)
+ * @param {string} [options.exceptSid] - Session to keep (e.g. the current one)
+ * @returns {number} Number of deleted sessions
+ */
+export function deleteSessionsOfUser({ userId, id = null, exceptSid = null }) {
+  return db.prepare(`
+    DELETE FROM sessions
+    WHERE user_id = ?
+      AND (? IS NULL OR id = ?)
+      AND (? IS NULL OR sid <> ?)
+  `).run(userId, id, id, exceptSid, exceptSid).changes;
+}
+
+// ========================================
+// PUBLIC API - Two-Factor Authentication
+// ========================================
+
+/**
+ * Get the TOTP state of a user
+ * @returns {{ enabled: boolean, secret: string|null, lastStep: number|null, recoveryCodesLeft: number }|null}
+ */
+export function getTwoFactorState(userId) {
+  const r = db.prepare(`
+    SELECT
+      u.totp_secret, u.totp_enabled_at, u.totp_last_step,
+      (SELECT COUNT(*) FROM recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS codes_left
+    FROM users u WHERE u.id = ?
+  `).get(userId);
+  
+  if (!r) return null;
+  
+  return {
+    enabled: !!r.totp_enabled_at,
+    secret: r.totp_secret,
+    lastStep: r.totp_last_step,
+    recoveryCodesLeft: r.codes_left,
+  };
+}
+
+/**
+ * Switch on two-factor authentication with a confirmed secret and fresh recovery codes
+ */
+export function enableTwoFactor({ userId, secret, step, recoveryCodeHashes }) {
+  const tx = db.transaction(() => {
+    db.prepare(`
+      UPDATE users
+      SET totp_secret = ?, totp_enabled_at = datetime('now'), totp_last_step = ?
+      WHERE id = ?
+    `).run(secret, step, userId);
+    replaceRecoveryCodes({ userId, codeHashes: recoveryCodeHashes });
+  });
+  tx();
+}
+
+/**
+ * Switch off two-factor authentication and drop the recovery codes
+ */
+export function disableTwoFactor(userId) {
+  const tx = db.transaction(() => {
+    db.prepare(`
+      UPDATE users
+      SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE id = ?
+    `).run(userId);
+    db.prepare(`DELETE FROM recovery_codes WHERE user_id = ?`).run(userId);
+  });
+  tx();
+}
+
+/**
+ * Remember the time step of an accepted code; fails if that step (or a later one) was already used
+ * @returns {boolean} true if the step was recorded
+ */
+export function claimTotpStep({ userId, step }) {
+  return db.prepare(`
+    UPDATE users
+    SET totp_last_step = ?
+    WHERE id = ? AND totp_enabled_at IS NOT NULL AND (totp_last_step IS NULL OR totp_last_step < ?)
+  `).run(step, userId, step).changes > 0;
+}
+
+/**
+ * Replace all recovery codes of a user (hashes only)
+ */
+export function replaceRecoveryCodes({ userId, codeHashes }) {
+  const tx = db.transaction(() => {
+    db.prepare(`DELETE FROM recovery_codes WHERE user_id = ?`).run(userId);
+    const insert = db.prepare(`INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)`);
+    for (const hash of codeHashes) insert.run(userId, hash);
+  });
+  tx();
+}
+
+/**
+ * Use up an unused recovery code
+ * @returns {boolean} true if the code was valid
+ */
+export function consumeRecoveryCode({ userId, codeHash }) {
+  return db.prepare(`
+    UPDATE recovery_codes
+    SET used_at = datetime('now')
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(userId, codeHash).changes > 0;
+}
+
+// ========================================
+// PUBLIC API - Settings
+// ========================================
+
+/**
+ * Get an app setting (stored in app_meta)
+ * @returns {string|null}
+ */
+export function getSetting(key) {
+  return db.prepare(`SELECT value FROM app_meta WHERE key = ?`).get(key)?.value ?? null;
+}
+
+/**
+ * Store an app setting
+ */
+export function setSetting(key, value) {
+  db.prepare(`
+    INSERT INTO app_meta (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, String(value));
+}
+
+// ========================================
+// PUBLIC API - Audit Log
+// ========================================
+
+/**
+ * Append an entry to the audit log (entries cannot be changed or deleted)
+ * before/after are stored as JSON (null = nothing)
+ */
+export function recordAuditEvent({
+  actorId = null,
+  actorName = null,
+  action,
+  targetType,
+  targetId = null,
+  targetLabel = null,
+  before = null,
+  after = null,
+  ip = null,
+}) {
+  return db.prepare(`
+    INSERT INTO audit_log (actor_id, actor_name, action, target_type, target_id, target_label, before_json, after_json, ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    actorId, actorName, action, targetType, targetId, targetLabel,
+    before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, ip
+  ).lastInsertRowid;
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} [options]
+ * @param {number|null} [options.actorId] - Only entries of this user
+ * @param {string} [options.action] - Only this action
+ * @param {string} [options.from] - First day (YYYY-MM-DD, inclusive)
+ * @param {string} [options.to] - Last day (YYYY-MM-DD, inclusive)
+ * @returns {{ items: Array, total: number }}
+ */
+export function listAuditEvents({ actorId = null, action = '', from = '', to = '', limit = null, page = 1 } = {}) {
+  const where = [];
+  const params = [];
+  
+  if (actorId) {
+    where.push('actor_id = ?');
+    params.push(actorId);
+  }
+  if (action) {
+    where.push('action = ?');
+    params.push(action);
+  }
+  if (from) {
+    where.push('created_at >= date(?)');
+    params.push(from);
+  }
+  if (to) {
+    where.push(`created_at < date(?, '+1 day')`);
+    params.push(to);
+  }
+  
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`
+    SELECT COUNT(*) AS c FROM audit_log ${whereSql}
+  `).get(...params).c;
+  
+  let limitSql = '';
+  if (limit) {
+    limitSql = 'LIMIT ? OFFSET ?';
+    params.push(limit, (Math.max(1, page) - 1) * limit);
+  }
+  
+  const rows = db.prepare(`
+    SELECT id, actor_id, actor_name, action, target_type, target_id, target_label, before_json, after_json, ip, created_at
+    FROM audit_log
+    ${whereSql}
+    ORDER BY id DESC
+    ${limitSql}
+  `).all(...params);
+  
+  const items = rows.map(r => ({
+    id: r.id,
+    actorId: r.actor_id,
+    actorName: r.actor_name,
+    action: r.action,
+    targetType: r.target_type,
+    targetId: r.target_id,
+    targetLabel: r.target_label,
+    before: r.before_json ? JSON.parse(r.before_json) : null,
+    after: r.after_json ? JSON.parse(r.after_json) : null,
+    ip: r.ip,
+    createdAt: new Date(r.created_at),
+  }));
+  
+  return { items, total };
+}
+
+/**
+ * Users that appear as actor in the audit log (with their latest recorded name), sorted by name
+ * @returns {Array<{ id: number, name: string }>}
+ */
+export function listAuditActors() {
+  return db.prepare(`
+    SELECT a.actor_id AS id, a.actor_name AS name
+    FROM audit_log a
+    WHERE a.id IN (SELECT MAX(id) FROM audit_log WHERE actor_id IS NOT NULL GROUP BY actor_id)
+    ORDER BY a.actor_name COLLATE NOCASE, a.actor_id
+  `).all();
+}
+
 // ========================================
 // PUBLIC API - Filtering & Sorting
 // ========================================
@@ -607,7 +1854,6 @@ export function listFavoritesOfUser(userId) {
  * List all authors (users) for filter dropdown
  */
 export function listAuthors() {
-  if (!db) return [];
   return db.prepare(`
     SELECT id, name
     FROM users
@@ -616,17 +1862,132 @@ export function listAuthors() {
 }
 
 /**
- * List contents with filtering and sorting
+ * List all people who directed at least one content (for the director filter)
+ */
+export function listDirectors() {
+  return db.prepare(`
+    SELECT DISTINCT p.slug, p.name
+    FROM people p
+    JOIN content_people cp ON cp.person_id = p.id AND cp.role = 'director'
+    ORDER BY p.name COLLATE NOCASE
+  `).all();
+}
+
+// Sort keys per sort order as [expression, direction]; also used for keyset cursors
+// Contents without year or director come last ("IS NULL" keys)
+const CONTENT_SORT_KEYS = {
+  newest: [['c.created_at', 'DESC'], ['c.id', 'DESC']],
+  likes: [['COALESCE(lc.likeCount, 0)', 'DESC'], ['c.created_at', 'DESC'], ['c.id', 'DESC']],
+  rating: [
+    ['COALESCE(rs.avgRating, 0)', 'DESC'],
+    ['COALESCE(rs.ratingCount, 0)', 'DESC'],
+    ['c.created_at', 'DESC'],
+    ['c.id', 'DESC'],
+  ],
+  year: [['COALESCE(c.release_year, 0)', 'DESC'], ['c.created_at', 'DESC'], ['c.id', 'DESC']],
+  year_asc: [
+    ['(c.release_year IS NULL)', 'ASC'],
+    ['COALESCE(c.release_year, 0)', 'ASC'],
+    ['c.created_at', 'DESC'],
+    ['c.id', 'DESC'],
+  ],
+  director: [
+    ['(dn.directorName IS NULL)', 'ASC'],
+    ["LOWER(COALESCE(dn.directorName, ''))", 'ASC'],
+    ['c.created_at', 'DESC'],
+    ['c.id', 'DESC'],
+  ],
+  relevance: [['-bm25(contents_fts, 10.0, 1.0)', 'DESC'], ['c.created_at', 'DESC'], ['c.id', 'DESC']],
+};
+
+/**
+ * SQL condition for rows strictly after the cursor values in the order of the given keys
+ * (expanded form of a row-value comparison, since directions may differ per key)
+ * @returns {{ sql: string, params: Array }}
+ */
+function keysetCondition(keys, values) {
+  const branches = keys.map(([expr, dir], i) => [
+    ...keys.slice(0, i).map(([prev]) => `${prev} = ?`),
+    `${expr} ${dir === 'ASC' ? '>' : '<'} ?`,
+  ].join(' AND '));
+  
+  return {
+    sql: branches.map(b => `(${b})`).join(' OR '),
+    params: keys.flatMap((_, i) => values.slice(0, i + 1)),
+  };
+}
+
+/**
+ * Encode the sort key values of the last row as opaque cursor
+ */
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, k: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor for the given sort order, throws INVALID_CURSOR on mismatch
+ */
+function decodeCursor(cursor, sort) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch { /* handled below */ }
+  
+  const keys = CONTENT_SORT_KEYS[sort];
+  const valid = parsed
+    && parsed.s === sort
+    && Array.isArray(parsed.k)
+    && parsed.k.length === keys.length
+    && parsed.k.every(v => typeof v === 'number' || typeof v === 'string');
+  
+  if (!valid) {
+    const err = new Error('Ungültiger Cursor.');
+    err.code = 'INVALID_CURSOR';
+    throw err;
+  }
+  return parsed.k;
+}
+
+/**
+ * List contents with filtering, sorting and pagination
  * @param {Object} options
  * @param {string|null} options.category - Filter by category
  * @param {number|null} options.ownerId - Filter by owner
- * @param {string} options.sort - 'newest' or 'likes'
+ * @param {string[]} options.tags - Tag slugs that must all be attached
+ * @param {number|null} options.yearFrom - Earliest release year (inclusive)
+ * @param {number|null} options.yearTo - Latest release year (inclusive)
+ * @param {string|null} options.director - Person slug of a director
+ * @param {string|null} options.q - Full-text search over title and description
+ * @param {string} options.sort - 'newest', 'likes', 'rating', 'year', 'year_asc', 'director' or 'relevance' (only with q)
+ * @param {number|null} options.limit - Page size (null = all rows)
+ * @param {number} options.page - 1-based page number (offset pagination)
+ * @param {string|null} options.cursor - Keyset cursor from a previous nextCursor (takes precedence over page)
+ * @returns {{ items: Object[], total: number, nextCursor: string|null }}
  */
-export function listContentsFiltered({ category = null, ownerId = null, sort = 'newest' } = {}) {
-  if (!db) return [];
-  
+export function listContentsFiltered({
+  category = null,
+  ownerId = null,
+  tags = [],
+  yearFrom = null,
+  yearTo = null,
+  director = null,
+  q = null,
+  sort = 'newest',
+  limit = null,
+  page = 1,
+  cursor = null,
+} = {}) {
   const where = ['1=1'];
   const params = [];
+  const ftsQuery = q ? toFtsQuery(q) : null;
+  
+  // A search without any usable term matches nothing
+  if (q && !ftsQuery) return { items: [], total: 0, nextCursor: null };
+  
+  if (ftsQuery) {
+    where.push('contents_fts MATCH ?');
+    params.push(ftsQuery);
+  }
   
   if (category) {
     where.push('c.category = ?');
@@ -638,10 +1999,83 @@ export function listContentsFiltered({ category = null, ownerId = null, sort = '
     params.push(ownerId);
   }
   
-  const orderBy =
-    sort === 'likes'
-      ? 'COALESCE(lc.likeCount, 0) DESC, c.created_at DESC, c.id DESC'
-      : 'c.created_at DESC, c.id DESC';
+  // All given tags must be attached
+  if (tags.length) {
+    where.push(`c.id IN (
+      SELECT ct.content_id
+      FROM content_tags ct
+      JOIN tags t ON t.id = ct.tag_id
+      WHERE t.slug IN (${tags.map(() => '?').join(', ')})
+      GROUP BY ct.content_id
+      HAVING COUNT(*) = ?
+    )`);
+    params.push(...tags, tags.length);
+  }
+  
+  if (yearFrom) {
+    where.push('c.release_year >= ?');
+    params.push(yearFrom);
+  }
+  
+  if (yearTo) {
+    where.push('c.release_year <= ?');
+    params.push(yearTo);
+  }
+  
+  if (director) {
+    where.push(`c.id IN (
+      SELECT cp.content_id
+      FROM content_people cp
+      JOIN people p ON p.id = cp.person_id
+      WHERE cp.role = 'director' AND p.slug = ?
+    )`);
+    params.push(director);
+  }
+  
+  const sortKey = CONTENT_SORT_KEYS[sort] && (sort !== 'relevance' || ftsQuery) ? sort : 'newest';
+  const keys = CONTENT_SORT_KEYS[sortKey];
+  const orderBy = keys.map(([expr, dir]) => `${expr} ${dir}`).join(', ');
+  
+  // Snippets are marked with control characters; the view escapes and converts them to <mark>
+  const searchColumns = ftsQuery
+    ? `,
+      highlight(contents_fts, 0, char(2), char(3)) AS titleHighlight,
+      snippet(contents_fts, 1, char(2), char(3), '…', 16) AS snippet`
+    : '';
+  const searchJoin = ftsQuery ? 'JOIN contents_fts ON contents_fts.rowid = c.id' : '';
+  
+  // Main director (first entered) for sorting by director
+  const directorJoin = sortKey === 'director'
+    ? `LEFT JOIN (
+      SELECT cp.content_id, p.name AS directorName
+      FROM content_people cp
+      JOIN people p ON p.id = cp.person_id
+      WHERE cp.role = 'director' AND cp.position = 0
+    ) dn ON dn.content_id = c.id`
+    : '';
+  
+  const total = db.prepare(`
+    SELECT COUNT(*) AS c
+    FROM contents c
+    ${searchJoin}
+    WHERE ${where.join(' AND ')}
+  `).get(...params).c;
+  
+  // Keyset condition: rows strictly after the cursor in sort order
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (cursor) {
+    const after = keysetCondition(keys, decodeCursor(cursor, sortKey));
+    pageWhere.push(`(${after.sql})`);
+    pageParams.push(...after.params);
+  }
+  
+  // Fetch one extra row to know whether there is a next page
+  let limitSql = '';
+  if (limit) {
+    limitSql = 'LIMIT ? OFFSET ?';
+    pageParams.push(limit + 1, cursor ? 0 : (Math.max(1, page) - 1) * limit);
+  }
   
   const rows = db.prepare(`
     SELECT
@@ -649,33 +2083,75 @@ export function listContentsFiltered({ category = null, ownerId = null, sort = '
       c.title,
       c.description,
       c.category,
+      cat.label AS categoryLabel,
       c.image_path AS imagePath,
+      c.image_variants,
       c.slug,
       c.created_at,
       c.owner_id,
+      c.release_year,
+      c.runtime_minutes,
       u.name AS ownerName,
-      COALESCE(lc.likeCount, 0) AS likeCount
+      COALESCE(lc.likeCount, 0) AS likeCount,
+      rs.avgRating,
+      COALESCE(rs.ratingCount, 0) AS ratingCount,
+      ${keys.map(([expr], i) => `${expr} AS sk${i}`).join(', ')}${searchColumns}
     FROM contents c
+    ${searchJoin}
+    ${directorJoin}
     LEFT JOIN users u ON u.id = c.owner_id
+    LEFT JOIN categories cat ON cat.slug = c.category
     LEFT JOIN (
       SELECT content_id, COUNT(*) AS likeCount
       FROM likes
       GROUP BY content_id
     ) lc ON lc.content_id = c.id
-    WHERE ${where.join(' AND ')}
+    LEFT JOIN (
+      SELECT content_id, AVG(score) AS avgRating, COUNT(*) AS ratingCount
+      FROM ratings
+      GROUP BY content_id
+    ) rs ON rs.content_id = c.id
+    WHERE ${pageWhere.join(' AND ')}
     ORDER BY ${orderBy}
-  `).all(...params);
+    ${limitSql}
+  `).all(...pageParams);
   
-  return rows.map(r => ({
+  const hasMore = !!limit && rows.length > limit;
+  if (hasMore) rows.length = limit;
+  
+  const last = rows[rows.length - 1];
+  const nextCursor = hasMore
+    ? encodeCursor(sortKey, keys.map((_, i) => last[`sk${i}`]))
+    : null;
+  
+  const items = rows.map(r => ({
     id: r.id,
     title: r.title,
     description: r.description,
     category: r.category,
+    categoryLabel: r.categoryLabel ?? r.category,
     imagePath: r.imagePath,
+    imageVariants: parseImageVariants(r.image_variants),
     slug: r.slug,
     ownerId: r.owner_id,
     ownerName: r.ownerName,
     likeCount: r.likeCount ?? 0,
+    avgRating: r.avgRating ?? null,
+    ratingCount: r.ratingCount ?? 0,
+    titleHighlight: r.titleHighlight ?? null,
+    snippet: r.snippet ?? null,
     createdAt: new Date(r.created_at),
+    releaseYear: r.release_year,
+    runtimeMinutes: r.runtime_minutes,
   }));
+  
+  const ids = items.map(i => i.id);
+  const tagsByContent = loadTagsByContent(db, ids);
+  const directorsByContent = loadPeopleByContent(db, ids, 'director');
+  for (const item of items) {
+    item.tags = tagsByContent.get(item.id);
+    item.directors = directorsByContent.get(item.id);
+  }
+  
+  return { items, total, nextCursor };
 }
@@ -0,0 +1,44 @@
+// 001: App metadata and users
+// Databases created before the migration system already have these tables; missing columns are added
+
+import { hasColumn } from '../migrator.js';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS app_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('admin','user','editor')),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      email TEXT,
+      password_hash TEXT,
+      disabled_at TEXT,
+      email_verified_at TEXT
+    );
+  `);
+
+  for (const col of ['email', 'password_hash', 'disabled_at']) {
+    if (!hasColumn(db, 'users', col)) db.exec(`ALTER TABLE users ADD COLUMN ${col} TEXT;`);
+  }
+
+  // Accounts registered before the email verification count as verified
+  if (!hasColumn(db, 'users', 'email_verified_at')) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+      UPDATE users SET email_verified_at = created_at WHERE email IS NOT NULL;
+    `);
+  }
+
+  // Unique email (case-insensitive); backfill created_at of very old rows
+  db.exec(`
+    DROP INDEX IF EXISTS idx_users_email_unique;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_nocase ON users(email COLLATE NOCASE);
+    UPDATE users SET created_at = datetime('now') WHERE created_at IS NULL OR TRIM(created_at) = '';
+  `);
+}
+
+export const irreversible = true;
@@ -0,0 +1,29 @@
+// 002: Categories (retired categories are kept for existing contents but not offered anymore)
+
+// Categories that used to be hard-coded (slug, label)
+const DEFAULT_CATEGORIES = [
+  ['sifi', 'Science-Fiction'],
+  ['krimi', 'Krimi'],
+  ['horror', 'Horror'],
+  ['komoedie', 'Komödie'],
+];
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      label TEXT NOT NULL,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      retired_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+
+  if (db.prepare(`SELECT 1 FROM categories LIMIT 1`).get()) return;
+
+  const insert = db.prepare(`INSERT INTO categories (slug, label, sort_order) VALUES (?, ?, ?)`);
+  DEFAULT_CATEGORIES.forEach(([slug, label], i) => insert.run(slug, label, i + 1));
+}
+
+export const irreversible = true;
@@ -0,0 +1,99 @@
+// 003: Contents (movies)
+// Older databases are upgraded: slugs are backfilled, the hard-coded CHECK on category is replaced
+// by a foreign key to categories, and the image variant and metadata columns are added
+
+import { hasColumn } from '../migrator.js';
+import slugify from '../../helpers/slugify.js';
+
+const CONTENTS_COLUMNS = `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      category TEXT NOT NULL,
+      image_path TEXT NOT NULL,
+      image_variants TEXT,
+      owner_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      slug TEXT,
+      release_year INTEGER,
+      runtime_minutes INTEGER,
+      country TEXT,
+      language TEXT,
+      FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(category) REFERENCES categories(slug) ON UPDATE CASCADE`;
+
+/**
+ * Give every content without slug a unique one
+ */
+function backfillSlugs(db) {
+  const rows = db.prepare(`SELECT id, title FROM contents WHERE slug IS NULL OR TRIM(slug) = ''`).all();
+  const exists = db.prepare(`SELECT 1 FROM contents WHERE slug = ? LIMIT 1`);
+  const update = db.prepare(`UPDATE contents SET slug = ? WHERE id = ?`);
+
+  for (const r of rows) {
+    const base = slugify(r.title || '') || 'eintrag';
+    let slug = base;
+    for (let i = 2; exists.get(slug); i++) slug = `${base}-${i}`;
+    update.run(slug, r.id);
+  }
+}
+
+/**
+ * Rebuild contents from the old schema (CHECK on category) with a foreign key to categories
+ * SQLite cannot alter constraints; ids and thus likes, ratings etc. stay intact
+ */
+function rebuildWithCategoryFk(db) {
+  const { sql } = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'contents'`).get();
+  if (!/CHECK\s*\(\s*category/i.test(sql)) return;
+
+  // Keep contents whose category is unknown to the categories table (appended in alphabetical order)
+  const unknown = db.prepare(`
+    SELECT DISTINCT category FROM contents
+    WHERE category NOT IN (SELECT slug FROM categories)
+    ORDER BY category
+  `).all();
+  const insert = db.prepare(`INSERT INTO categories (slug, label, sort_order) VALUES (?, ?, ?)`);
+  let sortOrder = db.prepare(`SELECT COALESCE(MAX(sort_order), 0) AS max FROM categories`).get().max;
+  for (const { category } of unknown) insert.run(category, category, ++sortOrder);
+
+  db.exec(`
+    CREATE TABLE contents_new (${CONTENTS_COLUMNS}
+    );
+    INSERT INTO contents_new (id, title, description, category, image_path, owner_id, created_at, slug)
+      SELECT id, title, description, category, image_path, owner_id, created_at, slug FROM contents;
+    DROP TABLE contents;
+    ALTER TABLE contents_new RENAME TO contents;
+  `);
+}
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contents (${CONTENTS_COLUMNS}
+    );
+  `);
+
+  if (!hasColumn(db, 'contents', 'slug')) db.exec(`ALTER TABLE contents ADD COLUMN slug TEXT;`);
+  backfillSlugs(db);
+  rebuildWithCategoryFk(db);
+
+  // image_variants: JSON ([{ name, width, path }]); NULL for images uploaded before the image pipeline
+  for (const [col, type] of [
+    ['image_variants', 'TEXT'],
+    ['release_year', 'INTEGER'],
+    ['runtime_minutes', 'INTEGER'],
+    ['country', 'TEXT'],
+    ['language', 'TEXT'],
+  ]) {
+    if (!hasColumn(db, 'contents', col)) db.exec(`ALTER TABLE contents ADD COLUMN ${col} ${type};`);
+  }
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_contents_slug_unique ON contents(slug);
+    CREATE INDEX IF NOT EXISTS idx_contents_created_at ON contents(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_contents_category ON contents(category);
+    CREATE INDEX IF NOT EXISTS idx_contents_owner ON contents(owner_id);
+    CREATE INDEX IF NOT EXISTS idx_contents_release_year ON contents(release_year);
+  `);
+}
+
+export const irreversible = true;
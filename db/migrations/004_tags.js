@@ -0,0 +1,22 @@
+// 004: Free-form tags (many-to-many with contents)
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS content_tags (
+      content_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (content_id, tag_id),
+      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE,
+      FOREIGN KEY(tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_content_tags_tag ON content_tags(tag_id);
+  `);
+}
+
+export const irreversible = true;
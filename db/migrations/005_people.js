@@ -0,0 +1,24 @@
+// 005: People (directors, cast) linked to contents; position keeps the entered order
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS people (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS content_people (
+      content_id INTEGER NOT NULL,
+      person_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('director','cast')),
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (content_id, role, person_id),
+      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE,
+      FOREIGN KEY(person_id) REFERENCES people(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_content_people_person ON content_people(person_id, role);
+  `);
+}
+
+export const irreversible = true;
@@ -0,0 +1,29 @@
+// 006: Likes and favorites
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS likes (
+      user_id INTEGER NOT NULL,
+      content_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (user_id, content_id),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_likes_content ON likes(content_id);
+    CREATE INDEX IF NOT EXISTS idx_likes_user ON likes(user_id);
+
+    CREATE TABLE IF NOT EXISTS favorites (
+      user_id INTEGER NOT NULL,
+      content_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (user_id, content_id),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_fav_content ON favorites(content_id);
+    CREATE INDEX IF NOT EXISTS idx_fav_user ON favorites(user_id);
+  `);
+}
+
+export const irreversible = true;
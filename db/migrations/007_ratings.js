@@ -0,0 +1,20 @@
+// 007: Ratings (score 1-10 per user and content)
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ratings (
+      user_id INTEGER NOT NULL,
+      content_id INTEGER NOT NULL,
+      score INTEGER NOT NULL CHECK(score BETWEEN 1 AND 10),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (user_id, content_id),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_ratings_content ON ratings(content_id);
+    CREATE INDEX IF NOT EXISTS idx_ratings_user ON ratings(user_id);
+  `);
+}
+
+export const irreversible = true;
@@ -0,0 +1,34 @@
+// 008: Reviews (one per user and content) and their previous versions
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      content_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      hidden INTEGER NOT NULL DEFAULT 0,
+      hidden_by INTEGER,
+      hidden_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (content_id, user_id),
+      FOREIGN KEY(content_id) REFERENCES contents(id) ON DELETE CASCADE,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(hidden_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_reviews_content ON reviews(content_id);
+    CREATE INDEX IF NOT EXISTS idx_reviews_user ON reviews(user_id);
+
+    CREATE TABLE IF NOT EXISTS review_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      review_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY(review_id) REFERENCES reviews(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_review_revisions_review ON review_revisions(review_id);
+  `);
+}
+
+export const irreversible = true;
@@ -0,0 +1,23 @@
+// 009: Personal API tokens (only a bcrypt hash of the token is stored)
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      token_hash TEXT NOT NULL,
+      scope TEXT NOT NULL DEFAULT 'read' CHECK(scope IN ('read','write')),
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_used_at TEXT,
+      expires_at TEXT,
+      revoked_at TEXT,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_api_tokens_prefix ON api_tokens(prefix);
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+  `);
+}
+
+export const irreversible = true;
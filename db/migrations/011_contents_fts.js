@@ -0,0 +1,18 @@
+// 011: Full-text index over title and description (rowid = contents.id)
+
+export function up(db) {
+  const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'contents_fts'`).get();
+  if (exists) return;
+
+  db.exec(`
+    CREATE VIRTUAL TABLE contents_fts USING fts5(
+      title,
+      description,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+    INSERT INTO contents_fts (rowid, title, description)
+      SELECT id, title, description FROM contents;
+  `);
+}
+
+export const irreversible = true;
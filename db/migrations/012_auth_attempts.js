@@ -0,0 +1,24 @@
+// 012: Login and registration attempts (throttling and admin audit, see lib/authThrottle.js)
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL CHECK(kind IN ('login','register')),
+      outcome TEXT NOT NULL CHECK(outcome IN ('success','invalid_credentials','disabled','unverified','invalid','blocked')),
+      ip TEXT NOT NULL,
+      email TEXT,
+      user_id INTEGER,
+      user_agent TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip ON auth_attempts(kind, ip, created_at);
+    CREATE INDEX IF NOT EXISTS idx_auth_attempts_email ON auth_attempts(kind, email, created_at);
+    CREATE INDEX IF NOT EXISTS idx_auth_attempts_created ON auth_attempts(created_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS auth_attempts;`);
+}
@@ -0,0 +1,60 @@
+// 014: Two-factor authentication (TOTP secret per user, one-time recovery codes)
+// auth_attempts is rebuilt to allow the outcome 'invalid_second_factor' (SQLite cannot alter CHECK constraints)
+
+import { hasColumn } from '../migrator.js';
+
+function rebuildAuthAttempts(db, outcomes) {
+  const list = outcomes.map((o) => `'${o}'`).join(',');
+  db.exec(`
+    CREATE TABLE auth_attempts_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL CHECK(kind IN ('login','register')),
+      outcome TEXT NOT NULL CHECK(outcome IN (${list})),
+      ip TEXT NOT NULL,
+      email TEXT,
+      user_id INTEGER,
+      user_agent TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+    INSERT INTO auth_attempts_new (id, kind, outcome, ip, email, user_id, user_agent, created_at)
+      SELECT id, kind, outcome, ip, email, user_id, user_agent, created_at
+      FROM auth_attempts WHERE outcome IN (${list});
+    DROP TABLE auth_attempts;
+    ALTER TABLE auth_attempts_new RENAME TO auth_attempts;
+    CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip ON auth_attempts(kind, ip, created_at);
+    CREATE INDEX IF NOT EXISTS idx_auth_attempts_email ON auth_attempts(kind, email, created_at);
+    CREATE INDEX IF NOT EXISTS idx_auth_attempts_created ON auth_attempts(created_at);
+  `);
+}
+
+const OUTCOMES = ['success', 'invalid_credentials', 'disabled', 'unverified', 'invalid', 'blocked'];
+
+export function up(db) {
+  // Secret (Base32), time of activation and last accepted time step (against replay of a code)
+  for (const [col, type] of [['totp_secret', 'TEXT'], ['totp_enabled_at', 'TEXT'], ['totp_last_step', 'INTEGER']]) {
+    if (!hasColumn(db, 'users', col)) db.exec(`ALTER TABLE users ADD COLUMN ${col} ${type};`);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      used_at TEXT,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+  `);
+
+  rebuildAuthAttempts(db, [...OUTCOMES, 'invalid_second_factor']);
+}
+
+export function down(db) {
+  rebuildAuthAttempts(db, OUTCOMES);
+  db.exec(`DROP TABLE IF EXISTS recovery_codes;`);
+  for (const col of ['totp_secret', 'totp_enabled_at', 'totp_last_step']) {
+    if (hasColumn(db, 'users', col)) db.exec(`ALTER TABLE users DROP COLUMN ${col};`);
+  }
+}
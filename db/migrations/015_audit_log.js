@@ -0,0 +1,38 @@
+// 015: Audit log of content and account changes (see lib/audit.js)
+// Append-only: triggers reject UPDATE and DELETE. Actor and target are stored by id and name without foreign
+// keys, so entries outlive deleted users and contents.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_name TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id INTEGER,
+      target_label TEXT,
+      before_json TEXT,
+      after_json TEXT,
+      ip TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS audit_log;`);
+}
@@ -0,0 +1,176 @@
+// db/migrator.js
+// Versioned schema migrations
+//
+// Migrations are the files db/migrations/NNN_name.js, applied in order of their number. Each exports
+// up(db) and down(db); both run synchronously inside one transaction together with the bookkeeping row
+// in schema_migrations, so a failing migration leaves the database unchanged.
+//
+// Foreign keys are switched off while a migration runs, so tables can be rebuilt (SQLite cannot alter
+// constraints); before the commit, foreign_key_check must pass.
+//
+// The baseline migrations (001-011) export irreversible = true instead of down(): databases from before
+// the migration system already had their tables, so dropping them would delete data the migration never
+// created. migrateDown refuses to revert past them.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Check if a column exists in a table
+ */
+export function hasColumn(instance, table, col) {
+  const row = instance.prepare(`PRAGMA table_info(${table})`).all().find(c => c.name === col);
+  return !!row;
+}
+
+/**
+ * Load all migration files, ordered by version
+ * @returns {Promise<Array<{ version: number, name: string, up: Function, down: Function|null, irreversible: boolean }>>}
+ * @throws {Error} On duplicate versions, a file without up() or a reversible one without down()
+ */
+export async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => FILE_RE.test(f)).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const [, num, name] = FILE_RE.exec(file);
+    const mod = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    const irreversible = mod.irreversible === true;
+    if (typeof mod.up !== 'function' || (!irreversible && typeof mod.down !== 'function')) {
+      throw new Error(`[db] Migration ${file}: up() und down() (oder irreversible = true) müssen exportiert werden.`);
+    }
+    const version = Number(num);
+    if (migrations.some(m => m.version === version)) {
+      throw new Error(`[db] Migration ${file}: Version ${num} ist doppelt vergeben.`);
+    }
+    migrations.push({ version, name, up: mod.up, down: irreversible ? null : mod.down, irreversible });
+  }
+
+  return migrations;
+}
+
+/**
+ * Create the bookkeeping table if needed
+ */
+function ensureMigrationsTable(instance) {
+  instance.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+/**
+ * Applied migrations from the bookkeeping table
+ * @returns {Map<number, { name: string, appliedAt: string }>}
+ */
+function appliedMigrations(instance) {
+  ensureMigrationsTable(instance);
+  const rows = instance.prepare(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`).all();
+  return new Map(rows.map(r => [r.version, { name: r.name, appliedAt: r.applied_at }]));
+}
+
+/**
+ * Run one migration in the given direction, in a transaction with foreign keys off
+ */
+function runMigration(instance, migration, direction) {
+  // Not possible inside a transaction, hence around it
+  instance.pragma('foreign_keys = OFF');
+  try {
+    instance.transaction(() => {
+      migration[direction](instance);
+
+      const violations = instance.pragma('foreign_key_check');
+      if (violations.length) {
+        throw new Error(`[db] Migration ${migration.version} (${direction}): ${violations.length} Fremdschlüssel-Verletzung(en)`);
+      }
+
+      if (direction === 'up') {
+        instance.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`)
+          .run(migration.version, migration.name);
+      } else {
+        instance.prepare(`DELETE FROM schema_migrations WHERE version = ?`).run(migration.version);
+      }
+    })();
+  } finally {
+    instance.pragma('foreign_keys = ON');
+  }
+}
+
+/**
+ * Status of all known and applied migrations
+ * Applied versions without a file (e.g. after switching to an older release) are listed with missing = true
+ * @returns {Array<{ version: number, name: string, appliedAt: string|null, missing: boolean, irreversible: boolean }>}
+ */
+export function getMigrationStatus(instance, migrations) {
+  const applied = appliedMigrations(instance);
+  const status = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.get(m.version)?.appliedAt ?? null,
+    missing: false,
+    irreversible: m.irreversible,
+  }));
+
+  for (const [version, { name, appliedAt }] of applied) {
+    if (!migrations.some(m => m.version === version)) status.push({ version, name, appliedAt, missing: true, irreversible: false });
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply all pending migrations up to (and including) a version
+ * @param {Object} [options]
+ * @param {number} [options.to] - Target version (default: latest)
+ * @returns {Array<{ version: number, name: string }>} Applied migrations
+ */
+export function migrateUp(instance, migrations, { to = Infinity } = {}) {
+  const applied = appliedMigrations(instance);
+  const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+
+  for (const m of pending) {
+    runMigration(instance, m, 'up');
+    console.log(`[db] Migration ${String(m.version).padStart(3, '0')}_${m.name} angewendet`);
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Revert the latest applied migrations
+ * @param {Object} [options]
+ * @param {number} [options.steps] - Number of migrations to revert (default: 1)
+ * @param {number} [options.to] - Revert all migrations above this version instead
+ * @returns {Array<{ version: number, name: string }>} Reverted migrations
+ * @throws {Error} If an applied migration to revert has no file or is irreversible (nothing is reverted then)
+ */
+export function migrateDown(instance, migrations, { steps = 1, to = null } = {}) {
+  const applied = [...appliedMigrations(instance).keys()].sort((a, b) => b - a);
+  const versions = to === null ? applied.slice(0, steps) : applied.filter(v => v > to);
+
+  const targets = versions.map(v => {
+    const m = migrations.find(x => x.version === v);
+    if (!m) throw new Error(`[db] Migration ${v} ist angewendet, aber die Datei fehlt – Rückgängigmachen nicht möglich.`);
+    if (m.irreversible) {
+      throw new Error(`[db] Migration ${String(v).padStart(3, '0')}_${m.name} ist nicht umkehrbar – Rückgängigmachen nur bis Version ${v} möglich.`);
+    }
+    return m;
+  });
+
+  for (const m of targets) {
+    runMigration(instance, m, 'down');
+    console.log(`[db] Migration ${String(m.version).padStart(3, '0')}_${m.name} rückgängig gemacht`);
+  }
+
+  return targets.map(({ version, name }) => ({ version, name }));
+}
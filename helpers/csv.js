@@ -0,0 +1,84 @@
+// helpers/csv.js
+// Minimal CSV reading and writing (RFC 4180: comma separator, double quotes, CRLF line breaks)
+// Example:
+//   stringifyCsv([{ title: 'Alien', year: 1979 }], ['title', 'year'])  -> 'title,year\r\nAlien,1979\r\n'
+//   parseCsv('title,year\nAlien,1979')                                  -> [{ title: 'Alien', year: '1979' }]
+
+/**
+ * Quote a value if it contains separators, quotes or line breaks
+ */
+function formatField(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Write objects as CSV with a header row
+ * @param {Object[]} rows
+ * @param {string[]} columns - Property names, in column order
+ * @returns {string}
+ */
+export function stringifyCsv(rows, columns) {
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+  return lines.map((fields) => fields.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read CSV with a header row into objects (all values are strings)
+ * @param {string} text
+ * @returns {Object[]}
+ * @throws {Error} On an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  const input = String(text).replace(/^﻿/, '');
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else field += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if (quoted) throw new Error('CSV: Anführungszeichen nicht geschlossen.');
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip empty lines
+  const nonEmpty = records.filter((r) => r.length > 1 || r[0] !== '');
+  if (!nonEmpty.length) return [];
+
+  const [header, ...rows] = nonEmpty;
+  const columns = header.map((h) => h.trim());
+  return rows.map((r) => Object.fromEntries(columns.map((c, idx) => [c, r[idx] ?? ''])));
+}
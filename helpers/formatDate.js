@@ -1,5 +1,5 @@
 // helpers/formatDate.js
-// Formats a date object to a localized string
+// Formats a date object to a localized string (date only or with time)
 
 /**
  * Format a date to a localized string
@@ -15,3 +15,18 @@ export default function formatDate(date, locale = 'de-CH') {
     return '';
   }
 }
+
+/**
+ * Format a date with time (e.g. for logs and audit lists)
+ * @param {Date|string} date - The date to format
+ * @param {string} locale - The locale to use (default: 'de-CH')
+ * @returns {string} Formatted date and time string
+ */
+export function formatDateTime(date, locale = 'de-CH') {
+  try {
+    const d = date instanceof Date ? date : new Date(date);
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'short', timeStyle: 'medium' }).format(d);
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,27 @@
+// helpers/highlight.js
+// Renders search snippets from the full-text index as safe HTML
+// The DB marks matches with \u0002 ... \u0003; everything else is escaped
+// Example:
+//   "Die \u0002Zeit\u0003maschine <3" -> "Die <mark>Zeit</mark>maschine &lt;3"
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape text and turn match markers into <mark> elements
+ * @param {string} text - Text with \u0002/\u0003 match markers
+ * @returns {string} HTML string (use with triple-stash in templates)
+ */
+export default function highlight(text) {
+  if (!text) return '';
+  
+  return String(text)
+    .replace(/[&<>"']/g, (ch) => ESCAPES[ch])
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+}
@@ -0,0 +1,61 @@
+// helpers/pagination.js
+// Builds page navigation data for list views, keeping the current query string
+// Example:
+//   paginate({ page: 2, limit: 12, total: 40, path: '/content', query: { sort: 'likes' } })
+//   -> { page: 2, pageCount: 4, prevUrl: '/content?sort=likes&page=1', ... }
+
+/**
+ * Build the URL for a page, preserving all other (non-empty) query params
+ * @param {string} path - Base path, e.g. '/content'
+ * @param {Object} query - Current query params
+ * @param {number} page - Target page
+ * @returns {string}
+ */
+function pageUrl(path, query, page) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (key === 'page' || value == null || value === '') continue;
+    // Arrays become repeated params (?tag=a&tag=b)
+    for (const v of [value].flat()) params.append(key, String(v));
+  }
+  if (page > 1) params.set('page', String(page));
+  const qs = params.toString();
+  return qs ? `${path}?${qs}` : path;
+}
+
+/**
+ * Compute pagination data for a view
+ * @param {Object} options
+ * @param {number} options.page - Current 1-based page
+ * @param {number} options.limit - Page size
+ * @param {number} options.total - Total number of rows
+ * @param {string} options.path - Base path of the list
+ * @param {Object} options.query - Query params to keep in the links
+ * @param {number} options.window - Number of page links around the current page
+ * @returns {Object} Pagination data for the "pagination" partial
+ */
+export default function paginate({ page, limit, total, path, query = {}, window = 2 }) {
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+  const current = Math.min(Math.max(1, page), pageCount);
+  
+  const pages = [];
+  let last = 0;
+  for (let n = 1; n <= pageCount; n++) {
+    const visible = n === 1 || n === pageCount || Math.abs(n - current) <= window;
+    if (!visible) continue;
+    if (n - last > 1) pages.push({ gap: true });
+    pages.push({ number: n, url: pageUrl(path, query, n), current: n === current });
+    last = n;
+  }
+  
+  return {
+    page: current,
+    pageCount,
+    total,
+    from: total ? (current - 1) * limit + 1 : 0,
+    to: Math.min(current * limit, total),
+    prevUrl: current > 1 ? pageUrl(path, query, current - 1) : null,
+    nextUrl: current < pageCount ? pageUrl(path, query, current + 1) : null,
+    pages: pageCount > 1 ? pages : [],
+  };
+}
@@ -0,0 +1,38 @@
+// helpers/userAgent.js
+// Short, human-readable device description from a User-Agent header (for the sessions page)
+// Example:
+//   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) ... Firefox/128.0" -> "Firefox auf Windows"
+
+// First match wins (order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari)
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+  [/curl\//, 'curl'],
+];
+
+const SYSTEMS = [
+  [/Windows/, 'Windows'],
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+/**
+ * Describe the browser and operating system of a User-Agent string
+ * @param {string|null} userAgent
+ * @returns {string} e.g. "Chrome auf Android", "Safari", "Unbekanntes Gerät"
+ */
+export default function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unbekanntes Gerät';
+
+  const browser = BROWSERS.find(([re]) => re.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([re]) => re.test(userAgent))?.[1];
+
+  if (browser && system) return `${browser} auf ${system}`;
+  return browser || system || userAgent.slice(0, 60);
+}
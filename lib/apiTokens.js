@@ -0,0 +1,62 @@
+// lib/apiTokens.js
+// Personal API tokens: generation, hashing and verification of Bearer headers
+// Token format: mra_<prefix>_<secret> – the prefix is stored in clear for lookup,
+// the full token only as bcrypt hash (like users.password_hash)
+
+import bcrypt from 'bcrypt';
+import crypto from 'node:crypto';
+
+import { getActiveApiTokenByPrefix, touchApiToken } from '../db/index.js';
+
+const TOKEN_RE = /^mra_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Tokens carry 256 bits of entropy, so a lower cost than for passwords is sufficient
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Generate a new random token
+ * @returns {{ token: string, prefix: string }}
+ */
+export function generateApiToken() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `mra_${prefix}_${secret}`, prefix };
+}
+
+/**
+ * Hash a token for storage
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+export function hashApiToken(token) {
+  return bcrypt.hash(token, BCRYPT_ROUNDS);
+}
+
+/**
+ * Extract the token from an "Authorization: Bearer <token>" header
+ * @param {string|undefined} header
+ * @returns {string|null}
+ */
+export function parseBearer(header) {
+  const m = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+  return m ? m[1] : null;
+}
+
+/**
+ * Verify a token and return its owner and scope
+ * @param {string} token
+ * @returns {Promise<{ user: Object, scope: string, tokenId: number }|null>}
+ */
+export async function verifyApiToken(token) {
+  const m = TOKEN_RE.exec(token || '');
+  if (!m) return null;
+  
+  const row = getActiveApiTokenByPrefix(m[1]);
+  if (!row) return null;
+  
+  const ok = await bcrypt.compare(token, row.tokenHash);
+  if (!ok) return null;
+  
+  touchApiToken(row.id);
+  return { user: row.user, scope: row.scope, tokenId: row.id };
+}
@@ -0,0 +1,200 @@
+// lib/audit.js
+// Audit log of content and account changes (table audit_log, shown to admins on /audit-log)
+//
+// Each entry names the actor (session or API token user), the action, the target and the changed fields
+// before and after. Content edits only store the fields that changed; a new image is its own entry
+// (content.image) so replacements can be filtered. Failed logins are in auth_attempts, not here.
+// Maintenance scripts record their changes with CLI_CONTEXT in place of a request.
+
+import { recordAuditEvent } from '../db/index.js';
+
+export const AUDIT_ACTION_LABELS = {
+  'content.create': 'Film erstellt',
+  'content.update': 'Film bearbeitet',
+  'content.image': 'Bild ersetzt',
+  'content.delete': 'Film gelöscht',
+  'user.register': 'Registriert',
+  'user.name': 'Name geändert',
+  'user.email': 'E-Mail geändert',
+  'user.password': 'Passwort geändert',
+  'user.password_reset': 'Passwort zurückgesetzt',
+  'user.two_factor_enable': '2FA eingeschaltet',
+  'user.two_factor_disable': '2FA ausgeschaltet',
+  'user.role': 'Rolle geändert',
+  'user.disable': 'Konto deaktiviert',
+  'user.enable': 'Konto reaktiviert',
+  'user.delete': 'Konto gelöscht',
+  'user.two_factor_reset': '2FA zurückgesetzt',
+  'auth.login': 'Login',
+};
+
+// Labels of the stored fields for the admin view
+const FIELD_LABELS = {
+  title: 'Titel',
+  description: 'Beschreibung',
+  category: 'Kategorie',
+  year: 'Jahr',
+  runtime: 'Laufzeit (Min.)',
+  country: 'Land',
+  language: 'Sprache',
+  tags: 'Tags',
+  directors: 'Regie',
+  cast: 'Besetzung',
+  owner: 'Eigentümer',
+  image: 'Bild',
+  name: 'Name',
+  email: 'E-Mail',
+  role: 'Rolle',
+  contents: 'Filme',
+  method: 'Methode',
+};
+
+/**
+ * Stand-in for req when a maintenance script acts (no user, no IP)
+ */
+export const CLI_CONTEXT = { user: { id: null, name: 'System (CLI)' }, ip: null };
+
+/**
+ * Record an action of the current user (req.user for the API, otherwise the session user)
+ * @param {import('express').Request|CLI_CONTEXT} req
+ * @param {Object} event
+ * @param {string} event.action - Key of AUDIT_ACTION_LABELS
+ * @param {'content'|'user'} event.targetType
+ * @param {number} [event.targetId]
+ * @param {string} [event.targetLabel] - Title or name at the time of the action
+ * @param {Object} [event.before] - Field values before the change
+ * @param {Object} [event.after] - Field values after the change
+ * @param {{ id: number, name: string }} [event.actor] - Actor if nobody is logged in (registration, reset link)
+ */
+export function recordAudit(req, {
+  action,
+  targetType,
+  targetId = null,
+  targetLabel = null,
+  before = null,
+  after = null,
+  actor = req.user ?? req.session?.user ?? null,
+}) {
+  recordAuditEvent({
+    actorId: actor?.id ?? null,
+    actorName: actor?.name ?? null,
+    action,
+    targetType,
+    targetId,
+    targetLabel,
+    before,
+    after,
+    ip: req.ip,
+  });
+}
+
+// ========================================
+// CONTENTS
+// ========================================
+
+/**
+ * Audited fields of a content (lists as comma-separated names)
+ */
+function contentSnapshot(item) {
+  const names = (list) => (list ?? []).map((p) => p.name).join(', ');
+  return {
+    title: item.title,
+    description: item.description,
+    category: item.category,
+    year: item.releaseYear ?? null,
+    runtime: item.runtimeMinutes ?? null,
+    country: item.country ?? null,
+    language: item.language ?? null,
+    tags: names(item.tags),
+    directors: names(item.directors),
+    cast: names(item.cast),
+    owner: item.ownerName ?? null,
+    image: item.imagePath ?? null,
+  };
+}
+
+/**
+ * Fields whose value differs between two snapshots
+ * @returns {{ before: Object, after: Object }|null} null if nothing changed
+ */
+function diffSnapshots(before, after) {
+  const keys = Object.keys(after).filter((key) => before[key] !== after[key]);
+  if (!keys.length) return null;
+  return {
+    before: Object.fromEntries(keys.map((key) => [key, before[key]])),
+    after: Object.fromEntries(keys.map((key) => [key, after[key]])),
+  };
+}
+
+function contentTarget(item) {
+  return { targetType: 'content', targetId: item.id, targetLabel: item.title };
+}
+
+/**
+ * Record a new content (as loaded with getContentById)
+ */
+export function auditContentCreated(req, item) {
+  recordAudit(req, { action: 'content.create', ...contentTarget(item), after: contentSnapshot(item) });
+}
+
+/**
+ * Record an edit: content.update for changed fields, content.image if the image was replaced
+ * @param {Object} previous - Content before the update
+ * @param {Object} current - Content after the update
+ */
+export function auditContentUpdated(req, previous, current) {
+  const { image: imageBefore, ...before } = contentSnapshot(previous);
+  const { image: imageAfter, ...after } = contentSnapshot(current);
+
+  const diff = diffSnapshots(before, after);
+  if (diff) recordAudit(req, { action: 'content.update', ...contentTarget(current), ...diff });
+
+  if (imageBefore !== imageAfter) {
+    recordAudit(req, {
+      action: 'content.image',
+      ...contentTarget(current),
+      before: { image: imageBefore },
+      after: { image: imageAfter },
+    });
+  }
+}
+
+/**
+ * Record a deleted content with all its fields
+ */
+export function auditContentDeleted(req, item) {
+  recordAudit(req, { action: 'content.delete', ...contentTarget(item), before: contentSnapshot(item) });
+}
+
+// ========================================
+// ACCOUNTS
+// ========================================
+
+/**
+ * Record an action on a user account (role change, login, ...)
+ * @param {string} action - Key of AUDIT_ACTION_LABELS
+ * @param {{ id: number, name: string }} user - Target user
+ * @param {{ before?: Object, after?: Object, actor?: Object }} [changes] - actor as in recordAudit
+ */
+export function auditUserAction(req, action, user, { before = null, after = null, actor } = {}) {
+  recordAudit(req, { action, targetType: 'user', targetId: user.id, targetLabel: user.name, before, after, actor });
+}
+
+// ========================================
+// VIEW
+// ========================================
+
+/**
+ * Rows "field, before, after" of an entry for the admin view (empty values as null)
+ * @param {{ before: Object|null, after: Object|null }} entry
+ * @returns {Array<{ label: string, before: *, after: * }>}
+ */
+export function auditChanges({ before, after }) {
+  const value = (v) => (v === undefined || v === '' ? null : v);
+  const keys = [...new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])];
+  return keys.map((key) => ({
+    label: FIELD_LABELS[key] ?? key,
+    before: value(before?.[key]),
+    after: value(after?.[key]),
+  }));
+}
@@ -0,0 +1,200 @@
+// lib/authThrottle.js
+// Brute-force and spam protection for POST /login and POST /register
+//
+// Every attempt is recorded in auth_attempts, so the limits survive restarts and admins can audit failures.
+// Logins are refused for an account after LOGIN_MAX_FAILURES_PER_ACCOUNT wrong passwords or 2FA codes and
+// for an IP after LOGIN_MAX_FAILURES_PER_IP failures within LOGIN_THROTTLE_WINDOW_MINUTES; a successful login
+// resets the account's counter. Registrations are limited per IP. Refused attempts are recorded as 'blocked' but do
+// not count, so the lockout ends on time even while an attacker keeps trying.
+// The check runs before the password is compared, so refused attempts cost no bcrypt time. An allowed attempt
+// holds a slot until its outcome is recorded, so parallel requests cannot all pass the check while the first
+// ones are still in bcrypt.
+
+import { recordAuthAttempt, listAuthAttemptExpiries, listAuthAttemptSources } from '../db/index.js';
+import {
+  LOGIN_THROTTLE_WINDOW_MINUTES,
+  LOGIN_MAX_FAILURES_PER_ACCOUNT,
+  LOGIN_MAX_FAILURES_PER_IP,
+  REGISTER_THROTTLE_WINDOW_MINUTES,
+  REGISTER_MAX_ATTEMPTS_PER_IP,
+  AUTH_ATTEMPTS_RETENTION_DAYS,
+} from './constants.js';
+
+// Outcomes that count towards the limits
+const LOGIN_FAILURES = ['invalid_credentials', 'invalid_second_factor'];
+const REGISTER_ATTEMPTS = ['success', 'invalid'];
+
+// Attempts that passed the check but have no recorded outcome yet, per "kind:by:value"
+const pending = new Map();
+// Release function of the slots held by a request
+const reservations = new WeakMap();
+
+// Labels for the audit view
+export const AUTH_OUTCOME_LABELS = {
+  success: 'Erfolgreich',
+  invalid_credentials: 'Falsche Zugangsdaten',
+  invalid_second_factor: 'Falscher 2FA-Code',
+  disabled: 'Konto deaktiviert',
+  unverified: 'E-Mail nicht bestätigt',
+  invalid: 'Ungültige Eingabe',
+  blocked: 'Abgewiesen (zu viele Versuche)',
+};
+
+/**
+ * Seconds until fewer than max attempts are left in the window (0 = not blocked)
+ * @param {number[]} expiries - Seconds until each attempt leaves the window, oldest first
+ */
+function secondsBlocked(expiries, max) {
+  return expiries.length >= max ? expiries[expiries.length - max] : 0;
+}
+
+/**
+ * Seconds until each attempt leaves the window: the recorded ones plus the pending ones (full window)
+ */
+function withPending(expiries, key, windowMinutes) {
+  return [...expiries, ...Array(pending.get(key) ?? 0).fill(windowMinutes * 60)];
+}
+
+/**
+ * Hold a slot for the attempt of this request until recordAttempt stores its outcome or the response ends
+ */
+function reserve(req, keys) {
+  for (const key of keys) pending.set(key, (pending.get(key) ?? 0) + 1);
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    reservations.delete(req);
+    for (const key of keys) {
+      const count = pending.get(key) - 1;
+      if (count > 0) pending.set(key, count);
+      else pending.delete(key);
+    }
+  };
+  reservations.set(req, release);
+  req.res?.once('close', release);
+}
+
+function minutesLabel(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 Minute' : `${minutes} Minuten`;
+}
+
+function accountBlocked(email) {
+  const expiries = listAuthAttemptExpiries({
+    kind: 'login',
+    by: 'email',
+    value: email,
+    outcomes: LOGIN_FAILURES,
+    windowMinutes: LOGIN_THROTTLE_WINDOW_MINUTES,
+    sinceSuccess: true,
+  });
+  return secondsBlocked(
+    withPending(expiries, `login:email:${email}`, LOGIN_THROTTLE_WINDOW_MINUTES),
+    LOGIN_MAX_FAILURES_PER_ACCOUNT
+  );
+}
+
+function ipBlocked(ip) {
+  const expiries = listAuthAttemptExpiries({
+    kind: 'login',
+    by: 'ip',
+    value: ip,
+    outcomes: LOGIN_FAILURES,
+    windowMinutes: LOGIN_THROTTLE_WINDOW_MINUTES,
+  });
+  return secondsBlocked(
+    withPending(expiries, `login:ip:${ip}`, LOGIN_THROTTLE_WINDOW_MINUTES),
+    LOGIN_MAX_FAILURES_PER_IP
+  );
+}
+
+/**
+ * Check whether a login for this account and client may be attempted
+ * If allowed, the attempt counts as a failure until recordAttempt stores its outcome or the response ends.
+ * @param {import('express').Request} req
+ * @param {string} email - Normalized (lowercase) email address
+ * @returns {{ retryAfter: number, message: string }|null} null if allowed
+ */
+export function checkLoginThrottle(req, email) {
+  const retryAfter = Math.max(accountBlocked(email), ipBlocked(req.ip));
+  if (!retryAfter) {
+    reserve(req, [`login:email:${email}`, `login:ip:${req.ip}`]);
+    return null;
+  }
+  return {
+    retryAfter,
+    message: `Zu viele fehlgeschlagene Anmeldeversuche. Bitte versuche es in ${minutesLabel(retryAfter)} erneut.`,
+  };
+}
+
+/**
+ * Check whether this client may attempt another registration (reserves the attempt like checkLoginThrottle)
+ * @returns {{ retryAfter: number, message: string }|null} null if allowed
+ */
+export function checkRegisterThrottle(req) {
+  const expiries = listAuthAttemptExpiries({
+    kind: 'register',
+    by: 'ip',
+    value: req.ip,
+    outcomes: REGISTER_ATTEMPTS,
+    windowMinutes: REGISTER_THROTTLE_WINDOW_MINUTES,
+  });
+  const retryAfter = secondsBlocked(
+    withPending(expiries, `register:ip:${req.ip}`, REGISTER_THROTTLE_WINDOW_MINUTES),
+    REGISTER_MAX_ATTEMPTS_PER_IP
+  );
+  if (!retryAfter) {
+    reserve(req, [`register:ip:${req.ip}`]);
+    return null;
+  }
+  return {
+    retryAfter,
+    message: `Zu viele Registrierungen von dieser Adresse. Bitte versuche es in ${minutesLabel(retryAfter)} erneut.`,
+  };
+}
+
+/**
+ * Record a login or registration attempt of a request (and release its reserved slot)
+ * @param {import('express').Request} req
+ * @param {Object} attempt
+ * @param {'login'|'register'} attempt.kind
+ * @param {string} attempt.outcome - Key of AUTH_OUTCOME_LABELS
+ * @param {string} [attempt.email]
+ * @param {number} [attempt.userId]
+ */
+export function recordAttempt(req, { kind, outcome, email = null, userId = null }) {
+  recordAuthAttempt({
+    kind,
+    outcome,
+    ip: req.ip,
+    email: email ? email.slice(0, 254) : null,
+    userId,
+    userAgent: req.get('user-agent')?.slice(0, 300) ?? null,
+    retentionDays: AUTH_ATTEMPTS_RETENTION_DAYS,
+  });
+  reservations.get(req)?.();
+}
+
+/**
+ * Accounts and IPs whose logins are refused right now
+ * @returns {{ accounts: Array<{ value, count, retryMinutes }>, ips: Array<{ value, count, retryMinutes }> }}
+ */
+export function listLoginLockouts() {
+  const lockouts = (by, max, blocked) => listAuthAttemptSources({
+    kind: 'login',
+    by,
+    outcomes: LOGIN_FAILURES,
+    windowMinutes: LOGIN_THROTTLE_WINDOW_MINUTES,
+    minCount: max,
+  })
+    .map((s) => ({ ...s, retryAfter: blocked(s.value) }))
+    .filter((s) => s.retryAfter > 0)
+    .map(({ value, count, retryAfter }) => ({ value, count, retryMinutes: Math.ceil(retryAfter / 60) }));
+
+  return {
+    accounts: lockouts('email', LOGIN_MAX_FAILURES_PER_ACCOUNT, accountBlocked),
+    ips: lockouts('ip', LOGIN_MAX_FAILURES_PER_IP, ipBlocked),
+  };
+}
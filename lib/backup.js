@@ -0,0 +1,302 @@
+// lib/backup.js
+// Online backups of the SQLite database and the uploaded files, with retention and restore
+// Used by the admin routes (/backups) and the CLI (scripts/backup.js)
+//
+// Every backup is a directory BACKUP_DIR/backup-<timestamp>/ (default: ./data/backups) with
+// - app.db          consistent copy made with SQLite's backup API while the app keeps running
+// - uploads.tar.gz  the upload files (only for STORAGE_DRIVER=local; S3 buckets are backed up on the S3 side)
+// - manifest.json   creation time, schema version and SHA-256 checksums
+// After a new backup only the newest BACKUP_KEEP backups are kept (default: BACKUP_KEEP_DEFAULT, 0 = all).
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as tar from 'tar';
+import Database from 'better-sqlite3';
+
+import { dbMode, resolveDbPath } from '../db/connection.js';
+import { loadMigrations } from '../db/migrator.js';
+import { getStorage, listFiles } from './storage.js';
+import { BACKUP_KEEP_DEFAULT } from './constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const NAME_RE = /^backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+const DB_FILE_NAME = 'app.db';
+const UPLOADS_FILE_NAME = 'uploads.tar.gz';
+const MANIFEST_FILE_NAME = 'manifest.json';
+
+// Files of a backup that may be downloaded
+export const BACKUP_FILES = [DB_FILE_NAME, UPLOADS_FILE_NAME, MANIFEST_FILE_NAME];
+
+function backupError(message, code = 'BACKUP_FAILED') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Directory holding all backups
+ */
+export function backupDir() {
+  return path.resolve(process.env.BACKUP_DIR || path.join(__dirname, '..', 'data', 'backups'));
+}
+
+/**
+ * Number of backups to keep (BACKUP_KEEP, 0 = all)
+ */
+function keepCount() {
+  const n = Number(process.env.BACKUP_KEEP ?? BACKUP_KEEP_DEFAULT);
+  return Number.isInteger(n) && n >= 0 ? n : BACKUP_KEEP_DEFAULT;
+}
+
+function openDatabase(file, options = {}) {
+  return new Database(file, { fileMustExist: true, ...options });
+}
+
+async function sha256(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Run integrity_check and foreign_key_check on a database file
+ * @returns {Promise<string[]>} Problems found (empty if the file is sound)
+ */
+async function checkDatabaseFile(file) {
+  const db = openDatabase(file, { readonly: true });
+  try {
+    const errors = db.pragma('integrity_check')
+      .map((r) => r.integrity_check)
+      .filter((msg) => msg !== 'ok');
+    const violations = db.pragma('foreign_key_check');
+    if (violations.length) errors.push(`${violations.length} Fremdschlüssel-Verletzung(en)`);
+    return errors;
+  } catch (err) {
+    return [`Datenbank nicht lesbar: ${err.message}`];
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Highest applied migration of a database (null before the migration system)
+ */
+function schemaVersionOf(db) {
+  const hasTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`).get();
+  return hasTable ? db.prepare(`SELECT MAX(version) AS v FROM schema_migrations`).get().v : null;
+}
+
+function readManifest(name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(backupDir(), name, MANIFEST_FILE_NAME), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// ========================================
+// BACKUP
+// ========================================
+
+/**
+ * List all complete backups, newest first
+ * @returns {Array<{ name: string, createdAt: Date, schemaVersion: number|null, size: number, uploads: Object|null }>}
+ */
+export function listBackups() {
+  const dir = backupDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter((name) => NAME_RE.test(name))
+    .map((name) => ({ name, manifest: readManifest(name) }))
+    .filter((b) => b.manifest)
+    .map(({ name, manifest }) => ({
+      name,
+      createdAt: new Date(manifest.createdAt),
+      schemaVersion: manifest.schemaVersion,
+      size: manifest.database.size + (manifest.uploads?.size || 0),
+      uploads: manifest.uploads,
+    }))
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Path of a file of a backup, or null if there is no such backup or file
+ */
+export function backupFilePath(name, file) {
+  if (!NAME_RE.test(name || '') || !BACKUP_FILES.includes(file)) return null;
+  const filePath = path.join(backupDir(), name, file);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Delete the oldest backups beyond the retention count
+ * @param {Object} [options]
+ * @param {number} [options.keep] - Default: BACKUP_KEEP
+ * @returns {string[]} Names of the deleted backups
+ */
+export function pruneBackups({ keep = keepCount() } = {}) {
+  if (!keep) return [];
+  const obsolete = listBackups().slice(keep).map((b) => b.name);
+  for (const name of obsolete) {
+    fs.rmSync(path.join(backupDir(), name), { recursive: true, force: true });
+  }
+  return obsolete;
+}
+
+/**
+ * Make a backup of the database and the upload files, then apply the retention policy
+ * The backup is written to a temporary directory and only renamed when complete
+ * @returns {Promise<{ name: string, manifest: Object, pruned: string[] }>}
+ */
+export async function createBackup() {
+  if (dbMode() === 'memory') {
+    throw backupError('Mit DB_MODE=memory gibt es keine Datenbankdatei zum Sichern.');
+  }
+
+  const createdAt = new Date();
+  const name = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+  const dir = backupDir();
+  const tmp = path.join(dir, `.${name}.partial`);
+  fs.mkdirSync(tmp, { recursive: true });
+
+  try {
+    // Online backup through a separate read-only connection (WAL allows it next to the app's connection)
+    const dbCopy = path.join(tmp, DB_FILE_NAME);
+    const source = openDatabase(resolveDbPath(), { readonly: true });
+    try {
+      await source.backup(dbCopy);
+    } finally {
+      source.close();
+    }
+
+    // Make the copy self-contained (no -wal file) and read its schema version
+    const copy = openDatabase(dbCopy);
+    let schemaVersion;
+    try {
+      copy.pragma('journal_mode = DELETE');
+      schemaVersion = schemaVersionOf(copy);
+    } finally {
+      copy.close();
+    }
+
+    const errors = await checkDatabaseFile(dbCopy);
+    if (errors.length) throw backupError(`Backup der Datenbank fehlerhaft: ${errors.join('; ')}`);
+
+    // Upload files as archive (local storage only)
+    const storage = getStorage();
+    let uploads = null;
+    if (storage.name === 'local') {
+      const keys = (await listFiles()).map((f) => f.key).sort();
+      uploads = { file: null, files: keys.length, size: 0, sha256: null };
+      if (keys.length) {
+        const archive = path.join(tmp, UPLOADS_FILE_NAME);
+        await tar.c({ gzip: true, file: archive, cwd: storage.dir, portable: true }, keys);
+        uploads = { ...uploads, file: UPLOADS_FILE_NAME, size: fs.statSync(archive).size, sha256: await sha256(archive) };
+      }
+    }
+
+    const manifest = {
+      name,
+      createdAt: createdAt.toISOString(),
+      schemaVersion,
+      storage: storage.name,
+      database: { file: DB_FILE_NAME, size: fs.statSync(dbCopy).size, sha256: await sha256(dbCopy) },
+      uploads,
+    };
+    fs.writeFileSync(path.join(tmp, MANIFEST_FILE_NAME), JSON.stringify(manifest, null, 2) + '\n');
+    fs.renameSync(tmp, path.join(dir, name));
+
+    return { name, manifest, pruned: pruneBackups() };
+  } catch (err) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+// ========================================
+// VERIFY & RESTORE
+// ========================================
+
+/**
+ * Check a backup: manifest, checksums and database integrity
+ * @returns {Promise<{ manifest: Object|null, errors: string[] }>}
+ */
+export async function verifyBackup(name) {
+  const manifest = NAME_RE.test(name || '') ? readManifest(name) : null;
+  if (!manifest) return { manifest: null, errors: [`Backup nicht gefunden: ${name}`] };
+
+  const errors = [];
+  const dir = path.join(backupDir(), name);
+  for (const part of [manifest.database, manifest.uploads]) {
+    if (!part?.file) continue;
+    const file = path.join(dir, part.file);
+    if (!fs.existsSync(file)) errors.push(`${part.file} fehlt.`);
+    else if (await sha256(file) !== part.sha256) errors.push(`${part.file}: Prüfsumme stimmt nicht.`);
+  }
+
+  if (!errors.length) {
+    errors.push(...(await checkDatabaseFile(path.join(dir, manifest.database.file))));
+  }
+
+  return { manifest, errors };
+}
+
+/**
+ * Restore a backup into a fresh database file and (optionally) restore the upload files
+ * The app must be stopped. The backup is verified first and copied to a new file, which is checked
+ * again and only then moved to the target; an existing database is kept as <target>.pre-restore-<timestamp>
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} [options.target] - Database file to restore to (default: DB_FILE)
+ * @param {boolean} [options.uploads] - Also extract the upload archive (default: true)
+ * @returns {Promise<{ target: string, previous: string|null, uploadsRestored: number }>}
+ * @throws {Error} code BACKUP_INVALID if the backup or the restored copy fails a check
+ */
+export async function restoreBackup(name, { target = resolveDbPath(), uploads = true } = {}) {
+  const { manifest, errors } = await verifyBackup(name);
+  if (errors.length) throw backupError(errors.join(' '), 'BACKUP_INVALID');
+
+  const latest = Math.max(0, ...(await loadMigrations()).map((m) => m.version));
+  if (manifest.schemaVersion > latest) {
+    throw backupError(`Backup hat Schema-Version ${manifest.schemaVersion}, diese Version kennt nur bis ${latest}.`, 'BACKUP_INVALID');
+  }
+
+  // Fresh copy next to the target, checked before it replaces anything
+  const fresh = `${target}.restoring`;
+  fs.rmSync(fresh, { force: true });
+  fs.copyFileSync(path.join(backupDir(), name, manifest.database.file), fresh);
+  const freshErrors = await checkDatabaseFile(fresh);
+  if (freshErrors.length) {
+    fs.rmSync(fresh, { force: true });
+    throw backupError(`Wiederhergestellte Datenbank fehlerhaft: ${freshErrors.join('; ')}`, 'BACKUP_INVALID');
+  }
+
+  // Keep the current database (incl. WAL) aside, then swap in the copy
+  let previous = null;
+  if (fs.existsSync(target)) {
+    previous = `${target}.pre-restore-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    for (const suffix of ['', '-wal', '-shm']) {
+      if (fs.existsSync(target + suffix)) fs.renameSync(target + suffix, previous + suffix);
+    }
+  }
+  fs.renameSync(fresh, target);
+
+  let uploadsRestored = 0;
+  const storage = getStorage();
+  if (uploads && manifest.uploads?.file && storage.name === 'local') {
+    await tar.x({
+      file: path.join(backupDir(), name, manifest.uploads.file),
+      cwd: storage.dir,
+      // Only plain files directly in the upload directory
+      filter: (p, entry) => entry.type === 'File' && !p.includes('/'),
+      onentry: () => { uploadsRestored++; },
+    });
+  }
+
+  return { target, previous, uploadsRestored };
+}
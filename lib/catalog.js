@@ -0,0 +1,275 @@
+// lib/catalog.js
+// Export and import of the movie catalogue as JSON or CSV
+// Used by the admin routes (/catalog) and the CLI (scripts/catalog.js)
+//
+// The export contains owner, category, metadata, tags, like/rating counts and image references.
+// The import validates every row with the same rules as POST /content; rows with errors are skipped
+// and reported, valid rows are inserted with a new, unique slug. Like and rating counts are not imported.
+
+import { listContentsForExport, getUserByEmail, getContentById, insertContent } from '../db/index.js';
+import { validateContentInput, parseTagInput, parseMetadataInput } from './validation.js';
+import { getFile, keyFromUrl } from './storage.js';
+import { processImage } from './images.js';
+import { storeImage, removeImage } from './upload.js';
+import { stringifyCsv, parseCsv } from '../helpers/csv.js';
+import { LIST_SEPARATOR } from './constants.js';
+import { auditContentCreated } from './audit.js';
+
+export const CATALOG_FORMATS = ['json', 'csv'];
+
+// Columns of the CSV export (lists are separated by LIST_SEPARATOR, names may contain commas)
+const CSV_COLUMNS = [
+  'slug', 'title', 'description', 'category', 'categoryLabel',
+  'ownerId', 'ownerName', 'ownerEmail',
+  'year', 'runtime', 'country', 'language', 'directors', 'cast', 'tags',
+  'likeCount', 'avgRating', 'ratingCount', 'image', 'createdAt',
+];
+
+const CSV_LIST_COLUMNS = ['directors', 'cast', 'tags'];
+
+const names = (list) => list.map((x) => x.name);
+
+function catalogError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_CATALOG';
+  return err;
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+/**
+ * Export all contents
+ * @param {'json'|'csv'} format
+ * @returns {{ body: string, contentType: string, filename: string, count: number }}
+ */
+export function exportCatalog(format = 'json') {
+  const items = listContentsForExport();
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    const rows = items.map((c) => ({
+      slug: c.slug,
+      title: c.title,
+      description: c.description,
+      category: c.category,
+      categoryLabel: c.categoryLabel,
+      ownerId: c.ownerId,
+      ownerName: c.ownerName,
+      ownerEmail: c.ownerEmail,
+      year: c.releaseYear,
+      runtime: c.runtimeMinutes,
+      country: c.country,
+      language: c.language,
+      directors: names(c.directors).join(` ${LIST_SEPARATOR} `),
+      cast: names(c.cast).join(` ${LIST_SEPARATOR} `),
+      tags: names(c.tags).join(` ${LIST_SEPARATOR} `),
+      likeCount: c.likeCount,
+      avgRating: c.avgRating == null ? '' : c.avgRating.toFixed(2),
+      ratingCount: c.ratingCount,
+      image: c.imagePath,
+      createdAt: c.createdAt.toISOString(),
+    }));
+    return {
+      body: stringifyCsv(rows, CSV_COLUMNS),
+      contentType: 'text/csv; charset=utf-8',
+      filename: `katalog-${stamp}.csv`,
+      count: items.length,
+    };
+  }
+
+  const contents = items.map((c) => ({
+    slug: c.slug,
+    title: c.title,
+    description: c.description,
+    category: c.category,
+    categoryLabel: c.categoryLabel,
+    owner: { id: c.ownerId, name: c.ownerName, email: c.ownerEmail },
+    year: c.releaseYear,
+    runtime: c.runtimeMinutes,
+    country: c.country,
+    language: c.language,
+    directors: names(c.directors),
+    cast: names(c.cast),
+    tags: names(c.tags),
+    likeCount: c.likeCount,
+    avgRating: c.avgRating,
+    ratingCount: c.ratingCount,
+    image: c.imagePath,
+    images: c.imageVariants.map((v) => ({ name: v.name, width: v.width, url: v.path })),
+    createdAt: c.createdAt.toISOString(),
+  }));
+  return {
+    body: JSON.stringify({ exportedAt: new Date().toISOString(), count: contents.length, contents }, null, 2) + '\n',
+    contentType: 'application/json; charset=utf-8',
+    filename: `katalog-${stamp}.json`,
+    count: contents.length,
+  };
+}
+
+// ========================================
+// IMPORT
+// ========================================
+
+/**
+ * Detect the format of a catalogue file from its name, falling back to its content
+ */
+export function detectCatalogFormat(text, filename = '') {
+  const ext = /\.(json|csv)$/i.exec(filename)?.[1]?.toLowerCase();
+  if (ext) return ext;
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+/**
+ * Parse a catalogue file into rows
+ * JSON: an export ({ contents: [...] }) or a plain array; CSV: header row with the export columns
+ * @throws {Error} code INVALID_CATALOG if the file cannot be read
+ */
+function parseCatalog(text, format) {
+  if (format === 'csv') {
+    let rows;
+    try {
+      rows = parseCsv(text);
+    } catch (err) {
+      throw catalogError(err.message);
+    }
+    // List cells become arrays, so commas stay part of the names
+    return rows.map((row) => {
+      const lists = CSV_LIST_COLUMNS
+        .filter((column) => row[column] != null)
+        .map((column) => [column, row[column].split(LIST_SEPARATOR)]);
+      return { ...row, ...Object.fromEntries(lists) };
+    });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw catalogError(`JSON: ${err.message}`);
+  }
+  const rows = Array.isArray(data) ? data : data?.contents;
+  if (!Array.isArray(rows)) throw catalogError('JSON: Erwartet wird eine Liste oder ein Objekt mit "contents".');
+  return rows;
+}
+
+/**
+ * Owner of an imported row: the user with the given email, otherwise the default owner
+ * @returns {{ ownerId: number|null, error: string|null }}
+ */
+function resolveOwner(row, defaultOwnerId) {
+  const email = String(row.ownerEmail ?? row.owner?.email ?? '').trim().toLowerCase();
+  if (!email) {
+    return defaultOwnerId
+      ? { ownerId: defaultOwnerId, error: null }
+      : { ownerId: null, error: 'Besitzer (ownerEmail) ist erforderlich.' };
+  }
+  const user = getUserByEmail(email);
+  return user ? { ownerId: user.id, error: null } : { ownerId: null, error: `Unbekannter Besitzer: ${email}` };
+}
+
+/**
+ * Validate one row; the image must reference an existing stored file (otherwise a row error)
+ * @returns {Promise<{ input: Object|null, image: Buffer|null, errors: string[] }>}
+ */
+async function validateRow(row, defaultOwnerId) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { input: null, image: null, errors: ['Ungültiger Datensatz.'] };
+  }
+
+  const title = String(row.title ?? '');
+  const description = String(row.description ?? '');
+  const category = String(row.category ?? '');
+  const imageRef = String(row.image ?? row.imagePath ?? '').trim();
+
+  let image = null;
+  const imageErrors = [];
+  if (imageRef) {
+    try {
+      const file = await getFile(keyFromUrl(imageRef));
+      if (file) image = file.body;
+      else imageErrors.push(`Bild nicht gefunden: ${imageRef}`);
+    } catch (err) {
+      imageErrors.push(`Bild kann nicht gelesen werden: ${imageRef} (${err.message})`);
+    }
+  }
+
+  const { tags, errors: tagErrors } = parseTagInput(row.tags);
+  const { metadata, errors: metadataErrors } = parseMetadataInput(row);
+  const { ownerId, error: ownerError } = resolveOwner(row, defaultOwnerId);
+
+  const errors = [
+    ...validateContentInput(
+      { title, description, category },
+      { requireImage: true, hasImage: !!imageRef }
+    ),
+    ...imageErrors,
+    ...metadataErrors,
+    ...tagErrors,
+    ...(ownerError ? [ownerError] : []),
+  ];
+
+  const input = { title: title.trim(), description: description.trim(), category, ownerId, tags, ...metadata };
+  return { input, image, errors };
+}
+
+/**
+ * Import contents from a JSON or CSV catalogue
+ * Each row is validated like POST /content and gets its own copy of the referenced image
+ * @param {Object} options
+ * @param {string} options.text - File content
+ * @param {'json'|'csv'} options.format
+ * @param {number|null} [options.defaultOwnerId] - Owner of rows without ownerEmail
+ * @param {boolean} [options.dryRun] - Only validate, nothing is written
+ * @param {Object} [options.auditAs] - Request (or CLI_CONTEXT) to record the new contents in the audit log for
+ * @returns {Promise<{
+ *   total: number,
+ *   dryRun: boolean,
+ *   imported: Array<{ row: number, title: string, slug: string|null }>,
+ *   errors: Array<{ row: number, title: string, errors: string[] }>
+ * }>}
+ * @throws {Error} code INVALID_CATALOG if the file cannot be read
+ */
+export async function importCatalog({ text, format, defaultOwnerId = null, dryRun = false, auditAs = null }) {
+  const rows = parseCatalog(text, format);
+  const imported = [];
+  const errors = [];
+
+  for (const [i, row] of rows.entries()) {
+    const rowNumber = i + 1;
+    const { input, image, errors: rowErrors } = await validateRow(row, defaultOwnerId);
+    const title = input?.title || '';
+
+    if (rowErrors.length) {
+      errors.push({ row: rowNumber, title, errors: rowErrors });
+      continue;
+    }
+
+    // Images that cannot be processed or stored only cost their row
+    let stored = null;
+    try {
+      if (dryRun) await processImage(image);
+      else stored = await storeImage(image);
+    } catch (err) {
+      errors.push({ row: rowNumber, title, errors: [`Bild: ${err.message}`] });
+      continue;
+    }
+    if (dryRun) {
+      imported.push({ row: rowNumber, title, slug: null });
+      continue;
+    }
+
+    try {
+      const id = insertContent({ ...input, imagePath: stored.url, imageVariants: stored.variants });
+      const item = getContentById(id);
+      if (auditAs) auditContentCreated(auditAs, item);
+      imported.push({ row: rowNumber, title, slug: item?.slug ?? null });
+    } catch (err) {
+      await removeImage(stored.url);
+      throw err;
+    }
+  }
+
+  return { total: rows.length, dryRun, imported, errors };
+}
@@ -0,0 +1,84 @@
+// lib/constants.js
+// Shared constants for routes and views
+
+// Categories live in the database (see db/index.js); max. length of label and slug
+export const CATEGORY_LABEL_MAX_LENGTH = 50;
+
+// Allowed sort orders for content lists ('relevance' only applies to searches)
+export const SORTS = ['newest', 'likes', 'rating', 'year', 'year_asc', 'director', 'relevance'];
+
+// Maximum length of a search query
+export const SEARCH_MAX_LENGTH = 200;
+
+// Page sizes for lists (HTML pages use a fixed size, the API accepts ?limit up to the max)
+export const PAGE_SIZE = 12;
+export const API_PAGE_SIZE = 20;
+export const API_MAX_PAGE_SIZE = 100;
+
+// User roles (order used in dropdowns)
+export const ROLES = ['user', 'editor', 'admin'];
+
+// Maximum length of a review text
+export const REVIEW_MAX_LENGTH = 5000;
+
+// Scopes for personal API tokens ('read' = GET only, 'write' = everything)
+export const API_TOKEN_SCOPES = ['read', 'write'];
+
+// Lifetime of tokens sent by mail, in minutes
+export const PASSWORD_RESET_TTL_MINUTES = 60;
+export const EMAIL_VERIFY_TTL_MINUTES = 24 * 60;
+
+// Tags: max. length of a tag, tags per movie and tags combined in one filter
+export const TAG_MAX_LENGTH = 30;
+export const TAGS_PER_CONTENT = 10;
+export const TAG_FILTER_MAX = 5;
+
+// Movie metadata: range of release years, max. runtime in minutes, max. length of
+// country/language and of a person's name, max. directors and cast members per movie
+export const RELEASE_YEAR_MIN = 1888;
+export const RELEASE_YEAR_MAX_AHEAD = 10;
+export const RUNTIME_MAX_MINUTES = 1000;
+export const METADATA_TEXT_MAX_LENGTH = 60;
+export const PERSON_NAME_MAX_LENGTH = 100;
+export const DIRECTORS_PER_CONTENT = 5;
+export const CAST_PER_CONTENT = 50;
+
+// Separator of lists (directors, cast, tags) in a CSV cell; not allowed in names, which may contain commas
+export const LIST_SEPARATOR = '|';
+
+// Image variants rendered for each upload (WebP, max. width in px, used for srcset)
+// and the max. number of input pixels accepted (protects against decompression bombs)
+export const IMAGE_VARIANTS = [
+  { name: 'thumb', width: 320 },
+  { name: 'medium', width: 800 },
+  { name: 'large', width: 1600 },
+];
+export const IMAGE_MAX_INPUT_PIXELS = 40_000_000;
+
+// Upload files younger than this are never treated as orphaned (upload may still be in progress)
+export const ORPHAN_MIN_AGE_MINUTES = 60;
+
+// Number of backups kept when a new one is made (overridable with BACKUP_KEEP; 0 keeps all)
+export const BACKUP_KEEP_DEFAULT = 7;
+
+// Login throttling: failed logins per account and per IP within the window; once reached, further
+// attempts are refused until enough failures have left the window (temporary lockout)
+export const LOGIN_THROTTLE_WINDOW_MINUTES = 15;
+export const LOGIN_MAX_FAILURES_PER_ACCOUNT = 5;
+export const LOGIN_MAX_FAILURES_PER_IP = 20;
+
+// Registration throttling: attempts per IP within the window
+export const REGISTER_THROTTLE_WINDOW_MINUTES = 60;
+export const REGISTER_MAX_ATTEMPTS_PER_IP = 10;
+
+// Days login and registration attempts are kept for the admin audit
+export const AUTH_ATTEMPTS_RETENTION_DAYS = 90;
+
+// Interval for deleting expired sessions from the session store
+export const SESSION_CLEANUP_INTERVAL_MINUTES = 15;
+
+// Two-factor authentication: roles for which admins can require it, number of recovery codes and
+// minutes between password check and code entry before the login has to start over
+export const TWO_FACTOR_ROLES = ['admin', 'editor'];
+export const RECOVERY_CODE_COUNT = 10;
+export const TWO_FACTOR_LOGIN_TTL_MINUTES = 5;
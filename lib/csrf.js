@@ -0,0 +1,67 @@
+// lib/csrf.js
+// Protection against cross-site request forgery with a secret token per session
+//
+// Every view gets the token as {{csrfToken}}: forms send it in the hidden field "_csrf" (partial csrf),
+// scripts in the header X-CSRF-Token (for logged-in users the token is also in <meta name="csrf-token">).
+// The token is created when a view first outputs it, so pages without a form leave anonymous
+// sessions untouched and no empty session is saved (saveUninitialized: false).
+// Multipart forms put it into the action URL (?_csrf=…) instead, so it is checked before multer
+// reads the upload and a forged request never stores a file.
+// API requests with an Authorization header are exempt: they are authenticated by the API token
+// (see routes/api.js), never by the session cookie.
+
+import crypto from 'node:crypto';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * The token of the session, created on first use
+ */
+function sessionToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  return req.session.csrfToken;
+}
+
+/**
+ * Token sent with the request (header, form field or – for multipart bodies – query string)
+ */
+function sentToken(req) {
+  const token = req.get('x-csrf-token')
+    || req.body?._csrf
+    || (req.is('multipart/form-data') ? req.query._csrf : null);
+  return typeof token === 'string' ? token : null;
+}
+
+/**
+ * Compare the sent token with the session token in constant time
+ */
+function tokenMatches(req) {
+  const expected = req.session.csrfToken;
+  const sent = sentToken(req);
+  if (!expected || !sent) return false;
+
+  const a = Buffer.from(sent);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware: provide the token to the views (as a lambda Handlebars calls on output) and reject unsafe
+ * requests without a valid token
+ * Must run after the session middleware and the body parsers
+ * Passes an error with code EBADCSRFTOKEN to next() (rendered as 403)
+ */
+export function csrfProtection(req, res, next) {
+  const isApi = req.path.startsWith('/api/');
+  if (!isApi) res.locals.csrfToken = () => sessionToken(req);
+
+  if (SAFE_METHODS.has(req.method)) return next();
+  if (isApi && req.get('authorization')) return next();
+
+  if (!tokenMatches(req)) {
+    const err = new Error('Das Formular ist abgelaufen oder stammt nicht von dieser Seite.');
+    err.code = 'EBADCSRFTOKEN';
+    return next(err);
+  }
+  next();
+}
@@ -0,0 +1,87 @@
+// lib/images.js
+// Image pipeline for uploaded posters: detects the real file type from the bytes,
+// strips metadata (EXIF, GPS, ...) and renders resized WebP variants for srcset
+
+import sharp from 'sharp';
+
+import { IMAGE_VARIANTS, IMAGE_MAX_INPUT_PIXELS } from './constants.js';
+
+// Signatures of the accepted formats (checked against the first bytes of the file)
+const SIGNATURES = [
+  { type: 'jpeg', ext: '.jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'png', ext: '.png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'gif', ext: '.gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  { type: 'webp', ext: '.webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+];
+
+function invalidImage(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILE_TYPE';
+  return err;
+}
+
+/**
+ * Detect the image type from the file content
+ * @param {Buffer} buffer
+ * @returns {{ type: 'jpeg'|'png'|'gif'|'webp', ext: string }|null}
+ */
+export function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const match = SIGNATURES.find((s) => s.test(buffer));
+  return match ? { type: match.type, ext: match.ext } : null;
+}
+
+/**
+ * Re-encode an uploaded image without metadata and render its variants
+ * The original keeps its format (orientation from EXIF is applied before stripping);
+ * variants never upscale, variants that would not be smaller than the previous one are skipped
+ * @param {Buffer} buffer - Uploaded file content
+ * @returns {Promise<{ ext: string, original: Buffer, variants: Array<{ name: string, width: number, buffer: Buffer }> }>}
+ * @throws {Error} code INVALID_FILE_TYPE if the content is no supported or readable image
+ */
+export async function processImage(buffer) {
+  const detected = detectImageType(buffer);
+  if (!detected) throw invalidImage('Nur Bilddateien (jpg, png, webp, gif) erlaubt.');
+
+  // Animated GIF/WebP keep all frames
+  const load = () => sharp(buffer, {
+    animated: detected.type === 'gif' || detected.type === 'webp',
+    limitInputPixels: IMAGE_MAX_INPUT_PIXELS,
+  }).rotate();
+
+  let width;
+  try {
+    const meta = await load().metadata();
+    width = meta.autoOrient?.width ?? meta.width;
+  } catch {
+    throw invalidImage('Bild konnte nicht gelesen werden.');
+  }
+
+  const encoders = {
+    jpeg: (img) => img.jpeg({ quality: 90 }),
+    png: (img) => img.png(),
+    gif: (img) => img.gif(),
+    webp: (img) => img.webp({ quality: 90 }),
+  };
+
+  // Truncated or corrupt data can pass metadata() and only fail while decoding the pixels
+  try {
+    const original = await encoders[detected.type](load()).toBuffer();
+
+    const variants = [];
+    for (const { name, width: maxWidth } of IMAGE_VARIANTS) {
+      const target = Math.min(maxWidth, width);
+      if (variants.length && target <= variants.at(-1).width) continue;
+
+      const { data, info } = await load()
+        .resize({ width: target, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      variants.push({ name, width: info.width, buffer: data });
+    }
+
+    return { ext: detected.ext, original, variants };
+  } catch {
+    throw invalidImage('Bild konnte nicht gelesen werden.');
+  }
+}
@@ -0,0 +1,130 @@
+// lib/mailer.js
+// Outgoing mail with pluggable transports, selected by MAIL_TRANSPORT:
+// - 'smtp'    sends via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+// - 'file'    writes each mail as .eml file to MAIL_DIR (default: ./data/mail) – for development and tests
+// - 'console' logs each mail to stdout (default)
+
+import nodemailer from 'nodemailer';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FROM = 'Movie Rating App <no-reply@localhost>';
+
+// ========================================
+// TRANSPORTS
+// ========================================
+// A transport is an object with an async send({ from, to, subject, text }) method
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp erfordert SMTP_HOST.');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+      : undefined,
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+// Encode a header value as RFC 2047 encoded-word if it is not plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function createFileTransport() {
+  const dir = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'data', 'mail'));
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    async send({ from, to, subject, text }) {
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      const eml = [
+        `From: ${encodeHeader(from)}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        text,
+      ].join('\r\n');
+      await fs.promises.writeFile(file, eml, 'utf8');
+      return { file };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async send({ to, subject, text }) {
+      console.log(`[mail] An: ${to}\n[mail] Betreff: ${subject}\n${text}\n[mail] ---`);
+    },
+  };
+}
+
+// Active transport (created on first use)
+let transport = null;
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+/**
+ * Register an additional transport that can be selected with MAIL_TRANSPORT
+ * @param {string} name
+ * @param {() => { send: Function }} factory
+ */
+export function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  transport = null;
+}
+
+// ========================================
+// SENDING
+// ========================================
+
+function getTransport() {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const factory = transportFactories[name];
+  if (!factory) throw new Error(`Unbekannter MAIL_TRANSPORT: ${name}`);
+
+  transport = factory();
+  return transport;
+}
+
+/**
+ * Send a plain-text mail with the configured transport
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @returns {Promise<*>} Transport-specific result
+ */
+export function sendMail({ to, subject, text }) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+  });
+}
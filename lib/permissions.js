@@ -0,0 +1,59 @@
+// lib/permissions.js
+// Central permission policy: what each role may do
+// Used by the route guards (HTML and API) and the Handlebars permission helpers
+//
+// Actions on resources with an owner (contents, reviews) are always allowed for the owner;
+// the "*.any" capabilities extend them to resources of other users.
+
+// Capabilities per role
+const POLICY = {
+  admin: new Set([
+    'content.create',
+    'content.edit.any',
+    'content.delete.any',
+    'review.edit.any',
+    'review.delete.any',
+    'review.moderate',
+    'users.manage',
+    'categories.manage',
+    'catalog.manage',
+    'backups.manage',
+  ]),
+  editor: new Set([
+    'content.create',
+    'content.edit.any',
+    'review.moderate',
+  ]),
+  user: new Set([
+    'content.create',
+  ]),
+};
+
+// Actions that are granted to the owner of the resource
+const OWNER_ACTIONS = new Set([
+  'content.edit',
+  'content.delete',
+  'review.edit',
+  'review.delete',
+]);
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object|null} user - Session/API user ({ id, role })
+ * @param {string} action - e.g. 'content.edit', 'review.moderate', 'users.manage'
+ * @param {Object} [resource] - Resource with ownerId for owner-based actions
+ * @returns {boolean}
+ */
+export function can(user, action, resource = null) {
+  if (!user) return false;
+
+  const capabilities = POLICY[user.role] || new Set();
+  if (capabilities.has(action)) return true;
+
+  if (OWNER_ACTIONS.has(action)) {
+    if (capabilities.has(`${action}.any`)) return true;
+    return !!resource && resource.ownerId === user.id;
+  }
+
+  return false;
+}
@@ -0,0 +1,86 @@
+// lib/sessionStore.js
+// express-session store in the app's SQLite database (table sessions), so logins survive restarts
+// Besides the session data it keeps the user, device (user agent, IP) and last activity per session
+// for the "active sessions" page (/me/sessions). Expired sessions are deleted periodically.
+
+import session from 'express-session';
+
+import {
+  getSessionData,
+  saveSession,
+  touchSession,
+  deleteSession,
+  deleteExpiredSessions,
+} from '../db/index.js';
+import { SESSION_CLEANUP_INTERVAL_MINUTES } from './constants.js';
+
+// Expiry for sessions without a cookie expiry (browser-session cookies)
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+function expiresAt(sess) {
+  const expires = sess.cookie?.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL_MS);
+}
+
+export class SqliteSessionStore extends session.Store {
+  constructor() {
+    super();
+    this.cleanup();
+    // unref: the timer alone does not keep the process running
+    this.cleanupTimer = setInterval(() => this.cleanup(), SESSION_CLEANUP_INTERVAL_MINUTES * 60 * 1000).unref();
+  }
+
+  get(sid, cb) {
+    try {
+      cb(null, getSessionData(sid));
+    } catch (err) {
+      cb(err);
+    }
+  }
+
+  set(sid, sess, cb) {
+    try {
+      saveSession({
+        sid,
+        data: sess,
+        userId: sess.user?.id ?? null,
+        userAgent: sess.device?.userAgent ?? null,
+        ip: sess.device?.ip ?? null,
+        expiresAt: expiresAt(sess),
+      });
+      cb?.(null);
+    } catch (err) {
+      cb?.(err);
+    }
+  }
+
+  touch(sid, sess, cb) {
+    try {
+      touchSession({ sid, expiresAt: expiresAt(sess) });
+      cb?.(null);
+    } catch (err) {
+      cb?.(err);
+    }
+  }
+
+  destroy(sid, cb) {
+    try {
+      deleteSession(sid);
+      cb?.(null);
+    } catch (err) {
+      cb?.(err);
+    }
+  }
+
+  /**
+   * Delete expired sessions (errors are logged, never thrown)
+   */
+  cleanup() {
+    try {
+      const removed = deleteExpiredSessions();
+      if (removed) console.log(`[sessions] ${removed} abgelaufene Session(s) gelöscht`);
+    } catch (err) {
+      console.error('[sessions] Aufräumen fehlgeschlagen:', err);
+    }
+  }
+}
@@ -0,0 +1,245 @@
+// lib/storage.js
+// Storage for uploaded files with pluggable drivers, selected by STORAGE_DRIVER:
+// - 'local' writes to UPLOAD_DIR (default: ./public/uploads), served as static files (default)
+// - 's3'    stores objects in an S3-compatible bucket (AWS, MinIO, ...):
+//           S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//           S3_FORCE_PATH_STYLE, S3_PREFIX, S3_PUBLIC_URL
+//
+// Files are addressed by a flat key (the file name). Unless S3_PUBLIC_URL is set, their URL is
+// "/uploads/<key>"; the app serves keys that are not on local disk via get() (see app.js).
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const KEY_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Content types of the stored file extensions
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+/**
+ * Content type for a key, derived from its extension
+ */
+export function contentTypeOf(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+function assertKey(key) {
+  if (!KEY_RE.test(key || '')) throw new Error(`Ungültiger Speicher-Schlüssel: ${key}`);
+}
+
+// ========================================
+// DRIVERS
+// ========================================
+// A driver is an object with the async methods put(key, buffer, { contentType }),
+// get(key) -> { body: Buffer, contentType } | null, delete(key) and list() -> [{ key, size, modifiedAt }],
+// and url(key) -> string
+
+function createLocalDriver() {
+  const dir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'public', 'uploads'));
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    dir,
+
+    async put(key, buffer) {
+      await fs.promises.writeFile(path.join(dir, key), buffer);
+    },
+
+    async get(key) {
+      try {
+        const body = await fs.promises.readFile(path.join(dir, key));
+        return { body, contentType: contentTypeOf(key) };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(path.join(dir, key), { force: true });
+    },
+
+    async list() {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.isFile() || !KEY_RE.test(entry.name)) continue;
+        const stat = await fs.promises.stat(path.join(dir, entry.name));
+        files.push({ key: entry.name, size: stat.size, modifiedAt: stat.mtime });
+      }
+      return files;
+    },
+
+    url: (key) => `/uploads/${key}`,
+  };
+}
+
+function createS3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('STORAGE_DRIVER=s3 erfordert S3_BUCKET.');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      }
+      : undefined,
+  });
+  const prefix = process.env.S3_PREFIX || '';
+  const publicUrl = (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '');
+
+  return {
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: prefix + key,
+        Body: buffer,
+        ContentType: contentType || contentTypeOf(key),
+        CacheControl: 'public, max-age=31536000, immutable',
+      }));
+    },
+
+    async get(key) {
+      try {
+        const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+        const body = Buffer.from(await res.Body.transformToByteArray());
+        return { body, contentType: res.ContentType || contentTypeOf(key) };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }));
+    },
+
+    async list() {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const res = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        for (const obj of res.Contents || []) {
+          const key = obj.Key.slice(prefix.length);
+          if (KEY_RE.test(key)) files.push({ key, size: obj.Size, modifiedAt: obj.LastModified });
+        }
+        ContinuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    url: (key) => (publicUrl ? `${publicUrl}/${prefix}${key}` : `/uploads/${key}`),
+  };
+}
+
+// Active driver (created on first use)
+let driver = null;
+
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+/**
+ * Register an additional driver that can be selected with STORAGE_DRIVER
+ * @param {string} name
+ * @param {() => Object} factory
+ */
+export function registerStorageDriver(name, factory) {
+  driverFactories[name] = factory;
+  driver = null;
+}
+
+// ========================================
+// STORAGE API
+// ========================================
+
+/**
+ * The configured driver
+ */
+export function getStorage() {
+  if (driver) return driver;
+
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const factory = driverFactories[name];
+  if (!factory) throw new Error(`Unbekannter STORAGE_DRIVER: ${name}`);
+
+  driver = factory();
+  driver.name = name;
+  return driver;
+}
+
+/**
+ * Store a file
+ * @param {string} key - Flat file name, e.g. "1700000000000-ab12.jpg"
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - Defaults to the type of the key's extension
+ */
+export function putFile(key, buffer, options = {}) {
+  assertKey(key);
+  return getStorage().put(key, buffer, options);
+}
+
+/**
+ * Read a file
+ * @returns {Promise<{ body: Buffer, contentType: string }|null>} null if not found
+ */
+export function getFile(key) {
+  if (!KEY_RE.test(key || '')) return Promise.resolve(null);
+  return getStorage().get(key);
+}
+
+/**
+ * Delete a file (missing files are ignored)
+ */
+export function deleteFile(key) {
+  assertKey(key);
+  return getStorage().delete(key);
+}
+
+/**
+ * List all stored files
+ * @returns {Promise<Array<{ key: string, size: number, modifiedAt: Date }>>}
+ */
+export function listFiles() {
+  return getStorage().list();
+}
+
+/**
+ * Public URL of a file, as stored in contents.image_path
+ */
+export function fileUrl(key) {
+  assertKey(key);
+  return getStorage().url(key);
+}
+
+/**
+ * Key of a stored file from its URL ("/uploads/<key>" or an absolute S3_PUBLIC_URL)
+ * @returns {string|null}
+ */
+export function keyFromUrl(url) {
+  const key = path.posix.basename(String(url || '').split(/[?#]/)[0]);
+  return KEY_RE.test(key) ? key : null;
+}
@@ -0,0 +1,209 @@
+// lib/twoFactor.js
+// Two-factor authentication with time-based one-time passwords (TOTP, RFC 6238) and recovery codes
+//
+// Users set it up with an authenticator app (QR code or Base32 secret); the login then asks for a code
+// after the password check. Codes are accepted within ±1 time step of 30 s and only once each.
+// Recovery codes replace a TOTP code once each; only their SHA-256 hashes are stored.
+// Admins can require 2FA for the roles in TWO_FACTOR_ROLES (setting two_factor_roles).
+
+import crypto from 'node:crypto';
+import QRCode from 'qrcode';
+
+import {
+  getTwoFactorState,
+  enableTwoFactor,
+  claimTotpStep,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  getSetting,
+  setSetting,
+} from '../db/index.js';
+import { TWO_FACTOR_ROLES, RECOVERY_CODE_COUNT } from './constants.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const ISSUER = 'Movie Rating App';
+const ROLES_SETTING = 'two_factor_roles';
+
+// ========================================
+// TOTP
+// ========================================
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.toUpperCase().replace(/=+$/, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Ungültiges Base32-Zeichen: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP code (RFC 4226) of a secret for a counter value
+ */
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Time step of a code within the accepted window, or null if it does not match
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user (spaces are ignored)
+ * @returns {number|null}
+ */
+function matchTotp(secret, code, now = Date.now()) {
+  const entered = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(entered)) return null;
+
+  const step = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = hotp(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(entered))) return step + offset;
+  }
+  return null;
+}
+
+/**
+ * New random secret (160 bits, Base32)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Data for the setup page: otpauth URI as QR code (SVG) and the secret in groups of four for manual entry
+ * @param {string} secret
+ * @param {string} accountName - Shown in the authenticator app (email address)
+ * @returns {Promise<{ uri: string, qrSvg: string, secretGroups: string }>}
+ */
+export async function setupData(secret, accountName) {
+  const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(accountName)}`;
+  const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+  return {
+    uri,
+    qrSvg: await QRCode.toString(uri, { type: 'svg', margin: 1, width: 200 }),
+    secretGroups: secret.match(/.{1,4}/g).join(' '),
+  };
+}
+
+// ========================================
+// RECOVERY CODES
+// ========================================
+
+function normalizeRecoveryCode(code) {
+  return String(code ?? '').toLowerCase().replace(/[^a-z2-7]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * New recovery codes ("abcde-fghij", 50 bits each)
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/**
+ * Replace the recovery codes of a user
+ * @returns {string[]} Plain codes to show once
+ */
+export function renewRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  replaceRecoveryCodes({ userId, codeHashes: codes.map(hashRecoveryCode) });
+  return codes;
+}
+
+// ========================================
+// SETUP & VERIFICATION
+// ========================================
+
+/**
+ * Switch on 2FA once the user has entered a valid code for the new secret
+ * @returns {string[]|null} Recovery codes to show once, or null if the code is wrong
+ */
+export function confirmTwoFactorSetup(userId, secret, code) {
+  const step = matchTotp(secret, code);
+  if (step === null) return null;
+
+  const codes = generateRecoveryCodes();
+  enableTwoFactor({ userId, secret, step, recoveryCodeHashes: codes.map(hashRecoveryCode) });
+  return codes;
+}
+
+/**
+ * Check the second factor of a user: a TOTP code or an unused recovery code
+ * @returns {'totp'|'recovery'|null} What was accepted, null if nothing
+ */
+export function verifySecondFactor(userId, code) {
+  const state = getTwoFactorState(userId);
+  if (!state?.enabled) return null;
+
+  const step = matchTotp(state.secret, code);
+  if (step !== null) return claimTotpStep({ userId, step }) ? 'totp' : null;
+
+  if (normalizeRecoveryCode(code).length !== 10) return null;
+  return consumeRecoveryCode({ userId, codeHash: hashRecoveryCode(code) }) ? 'recovery' : null;
+}
+
+// ========================================
+// POLICY
+// ========================================
+
+/**
+ * Roles for which admins require 2FA
+ * @returns {string[]}
+ */
+export function getRequiredTwoFactorRoles() {
+  return (getSetting(ROLES_SETTING) || '').split(',').filter((role) => TWO_FACTOR_ROLES.includes(role));
+}
+
+/**
+ * Set the roles that require 2FA (unknown roles are ignored)
+ */
+export function setRequiredTwoFactorRoles(roles) {
+  setSetting(ROLES_SETTING, roles.filter((role) => TWO_FACTOR_ROLES.includes(role)).join(','));
+}
+
+/**
+ * Whether a user (session user with role) must have 2FA set up
+ */
+export function isTwoFactorRequired(user) {
+  return !!user && getRequiredTwoFactorRoles().includes(user.role);
+}
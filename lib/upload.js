@@ -0,0 +1,137 @@
+// lib/upload.js
+// Multer configuration for image and catalogue uploads and helpers to store and remove images
+// Uploads are kept in memory until the image pipeline (lib/images.js) has checked and re-encoded them;
+// original and variants are then written to the configured storage (lib/storage.js)
+
+import multer from 'multer';
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+import { processImage } from './images.js';
+import { putFile, deleteFile, fileUrl, keyFromUrl } from './storage.js';
+import { IMAGE_VARIANTS } from './constants.js';
+
+// File filter - only allow images (quick check of the claimed type; the content is checked later)
+function fileFilter(req, file, cb) {
+  const ok = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'].includes(file.mimetype);
+  if (ok) return cb(null, true);
+  const err = new Error('Nur Bilddateien (jpg, png, webp, gif) erlaubt.');
+  err.code = 'INVALID_FILE_TYPE';
+  cb(err, false);
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
+});
+
+/**
+ * Storage key of a variant ("123-abc.jpg" -> "123-abc-thumb.webp")
+ */
+function variantKey(key, name) {
+  return `${path.parse(key).name}-${name}.webp`;
+}
+
+/**
+ * Check, process and store an image (original and variants) under a new key
+ * Used for uploads and by the catalogue import
+ * @param {Buffer} buffer
+ * @returns {Promise<{ filename: string, url: string, size: number, variants: Array<{ name, width, path }> }>}
+ */
+export async function storeImage(buffer) {
+  const { ext, original, variants } = await processImage(buffer);
+  const filename = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+
+  try {
+    await putFile(filename, original);
+    for (const v of variants) {
+      await putFile(variantKey(filename, v.name), v.buffer);
+    }
+  } catch (err) {
+    await removeImage(fileUrl(filename));
+    throw err;
+  }
+
+  return {
+    filename,
+    url: fileUrl(filename),
+    size: original.length,
+    variants: variants.map((v) => ({
+      name: v.name,
+      width: v.width,
+      path: fileUrl(variantKey(filename, v.name)),
+    })),
+  };
+}
+
+/**
+ * Run the uploaded file through the image pipeline and store original and variants
+ * Afterwards req.file has filename, url and variants ([{ name, width, path }]) instead of the buffer
+ */
+async function storeUploadedImage(req, res, next) {
+  if (!req.file) return next();
+
+  const stored = await storeImage(req.file.buffer);
+  req.file = {
+    fieldname: req.file.fieldname,
+    originalname: req.file.originalname,
+    ...stored,
+  };
+  next();
+}
+
+/**
+ * Middleware for the "image" field: parse the upload, then check, process and store it
+ */
+export const uploadImage = [upload.single('image'), storeUploadedImage];
+
+// Catalogue files (JSON/CSV) for the import, kept in memory as well
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter(req, file, cb) {
+    if (/\.(json|csv)$/i.test(file.originalname)) return cb(null, true);
+    const err = new Error('Nur JSON- oder CSV-Dateien erlaubt.');
+    err.code = 'INVALID_FILE_TYPE';
+    cb(err, false);
+  },
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+});
+
+/**
+ * Middleware for the "file" field of the catalogue import (req.file.buffer)
+ */
+export const uploadCatalogFile = catalogUpload.single('file');
+
+/**
+ * Public URL of a file stored by uploadImage (stored as contents.image_path)
+ */
+export function uploadWebPath(file) {
+  return file.url;
+}
+
+/**
+ * Delete a file freshly stored by uploadImage incl. its variants (e.g. after failed validation)
+ */
+export function discardUpload(file) {
+  if (!file?.url) return Promise.resolve();
+  return removeImage(file.url);
+}
+
+/**
+ * Delete a previously stored image and its variants by its URL (contents.image_path)
+ * Never rejects: failures are logged, the files are left behind
+ */
+export async function removeImage(url) {
+  const key = keyFromUrl(url);
+  if (!key) return;
+
+  const keys = [key, ...IMAGE_VARIANTS.map((v) => variantKey(key, v.name))];
+  for (const k of keys) {
+    try {
+      await deleteFile(k);
+    } catch (err) {
+      console.warn(`[upload] Datei ${k} konnte nicht gelöscht werden:`, err.message);
+    }
+  }
+}
@@ -0,0 +1,62 @@
+// lib/uploadCheck.js
+// Consistency check between the stored upload files and contents.image_path / image_variants
+// Finds orphaned files (not referenced by any content) and contents whose files are missing
+
+import { listContentImages } from '../db/index.js';
+import { listFiles, deleteFile, keyFromUrl } from './storage.js';
+import { ORPHAN_MIN_AGE_MINUTES } from './constants.js';
+
+/**
+ * Compare storage and database
+ * Files younger than minAgeMinutes are never reported as orphans: they may belong to an upload
+ * that is still being processed and not yet saved in the database
+ * @param {Object} [options]
+ * @param {number} [options.minAgeMinutes]
+ * @returns {Promise<{
+ *   files: number,
+ *   orphans: Array<{ key: string, size: number, modifiedAt: Date }>,
+ *   missing: Array<{ id: number, slug: string, title: string, keys: string[] }>
+ * }>}
+ */
+export async function checkUploads({ minAgeMinutes = ORPHAN_MIN_AGE_MINUTES } = {}) {
+  const files = await listFiles();
+  const stored = new Set(files.map((f) => f.key));
+
+  const referenced = new Set();
+  const missing = [];
+  for (const item of listContentImages()) {
+    const keys = [item.imagePath, ...item.imageVariants.map((v) => v.path)]
+      .map(keyFromUrl)
+      .filter(Boolean);
+    keys.forEach((k) => referenced.add(k));
+
+    const absent = keys.filter((k) => !stored.has(k));
+    if (absent.length) missing.push({ id: item.id, slug: item.slug, title: item.title, keys: absent });
+  }
+
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  const orphans = files
+    .filter((f) => !referenced.has(f.key) && new Date(f.modifiedAt).getTime() < cutoff)
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  return { files: files.length, orphans, missing };
+}
+
+/**
+ * Delete orphaned files found by checkUploads
+ * @param {Array<{ key: string }>} orphans
+ * @returns {Promise<{ deleted: string[], failed: Array<{ key: string, error: string }> }>}
+ */
+export async function deleteOrphans(orphans) {
+  const deleted = [];
+  const failed = [];
+  for (const { key } of orphans) {
+    try {
+      await deleteFile(key);
+      deleted.push(key);
+    } catch (err) {
+      failed.push({ key, error: err.message });
+    }
+  }
+  return { deleted, failed };
+}
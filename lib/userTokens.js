@@ -0,0 +1,51 @@
+// lib/userTokens.js
+// Expiring single-use tokens for links sent by mail (password reset, email verification)
+// Only a SHA-256 hash is stored; the tokens carry 256 bits of entropy, so a fast hash is sufficient
+
+import crypto from 'node:crypto';
+
+import { createUserToken, getUserTokenOwner, consumeUserToken } from '../db/index.js';
+import { PASSWORD_RESET_TTL_MINUTES, EMAIL_VERIFY_TTL_MINUTES } from './constants.js';
+
+const TOKEN_RE = /^[A-Za-z0-9_-]{43}$/;
+
+// Lifetime per purpose
+const TTL_MINUTES = {
+  password_reset: PASSWORD_RESET_TTL_MINUTES,
+  email_verify: EMAIL_VERIFY_TTL_MINUTES,
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a new token for a user; earlier unused tokens of the same purpose become invalid
+ * @param {Object} options
+ * @param {number} options.userId
+ * @param {'password_reset'|'email_verify'} options.purpose
+ * @returns {string} Plain token for the link
+ */
+export function issueUserToken({ userId, purpose }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  createUserToken({ userId, purpose, tokenHash: hashToken(token), ttlMinutes: TTL_MINUTES[purpose] });
+  return token;
+}
+
+/**
+ * Check a token without using it up (e.g. to show the reset form)
+ * @returns {number|null} Id of the token owner
+ */
+export function peekUserToken(token, purpose) {
+  if (!TOKEN_RE.test(token || '')) return null;
+  return getUserTokenOwner({ tokenHash: hashToken(token), purpose });
+}
+
+/**
+ * Use up a token
+ * @returns {number|null} Id of the token owner or null if invalid, expired or already used
+ */
+export function redeemUserToken(token, purpose) {
+  if (!TOKEN_RE.test(token || '')) return null;
+  return consumeUserToken({ tokenHash: hashToken(token), purpose });
+}
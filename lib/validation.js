@@ -0,0 +1,324 @@
+// lib/validation.js
+// Input validation shared by the HTML routes and the JSON API
+
+import {
+  SORTS,
+  REVIEW_MAX_LENGTH,
+  SEARCH_MAX_LENGTH,
+  CATEGORY_LABEL_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  TAGS_PER_CONTENT,
+  TAG_FILTER_MAX,
+  RELEASE_YEAR_MIN,
+  RELEASE_YEAR_MAX_AHEAD,
+  RUNTIME_MAX_MINUTES,
+  METADATA_TEXT_MAX_LENGTH,
+  PERSON_NAME_MAX_LENGTH,
+  DIRECTORS_PER_CONTENT,
+  CAST_PER_CONTENT,
+  LIST_SEPARATOR,
+} from './constants.js';
+import slugify from '../helpers/slugify.js';
+import { getCategoryBySlug } from '../db/index.js';
+
+/**
+ * Whether a value is a string or a list of strings (JSON bodies may contain anything)
+ */
+function isTextOrTextList(value) {
+  return typeof value === 'string' || (Array.isArray(value) && value.every((v) => typeof v === 'string'));
+}
+
+/**
+ * Check a required text field: null if fine, otherwise the error message
+ */
+function requiredTextError(value, label) {
+  if (value != null && typeof value !== 'string') return `${label} muss ein Text sein.`;
+  return value?.trim() ? null : `${label} ist erforderlich.`;
+}
+
+/**
+ * Validate content (movie) input
+ * @param {Object} input
+ * @param {string} input.title
+ * @param {string} input.description
+ * @param {string} input.category
+ * @param {Object} options
+ * @param {boolean} options.requireImage - Whether an image is mandatory
+ * @param {boolean} options.hasImage - Whether an image was supplied
+ * @param {string} options.currentCategory - Category of the entry being edited (may be retired)
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateContentInput(
+  { title, description, category } = {},
+  { requireImage = false, hasImage = false, currentCategory = null } = {}
+) {
+  const errors = [];
+  
+  // Retired categories are not offered anymore, but existing entries may keep them
+  const cat = typeof category === 'string' && category ? getCategoryBySlug(category) : null;
+  
+  const titleError = requiredTextError(title, 'Titel');
+  if (titleError) errors.push(titleError);
+  const descriptionError = requiredTextError(description, 'Beschrieb');
+  if (descriptionError) errors.push(descriptionError);
+  if (!cat || (cat.retired && category !== currentCategory)) errors.push('Ungültige Kategorie.');
+  if (requireImage && !hasImage) errors.push('Bild ist erforderlich.');
+  
+  return errors;
+}
+
+/**
+ * Parse tag input: a comma-separated string (form field) or an array of names (API)
+ * Tags are identified by their slug, so "Sci-Fi" and "sci fi" are the same tag
+ * @param {string|string[]} input
+ * @returns {{ tags: Array<{ slug: string, name: string }>, errors: string[] }}
+ */
+export function parseTagInput(input) {
+  if (input != null && !isTextOrTextList(input)) {
+    return { tags: [], errors: ['Tags müssen ein Text oder eine Liste von Texten sein.'] };
+  }
+  
+  const raw = Array.isArray(input) ? input : String(input ?? '').split(',');
+  const tags = [];
+  const errors = [];
+  
+  for (const value of raw) {
+    const name = String(value ?? '').replace(/\s+/g, ' ').trim().replace(/^#/, '');
+    const slug = slugify(name);
+    if (!slug || tags.some((t) => t.slug === slug)) continue;
+    
+    if (name.length > TAG_MAX_LENGTH) {
+      errors.push(`Tag "${name.slice(0, TAG_MAX_LENGTH)}…" ist zu lang (max. ${TAG_MAX_LENGTH} Zeichen).`);
+      continue;
+    }
+    if (name.includes(LIST_SEPARATOR)) {
+      errors.push(`Tag "${name}" darf kein "${LIST_SEPARATOR}" enthalten.`);
+      continue;
+    }
+    tags.push({ slug, name });
+  }
+  
+  if (tags.length > TAGS_PER_CONTENT) errors.push(`Maximal ${TAGS_PER_CONTENT} Tags pro Film.`);
+  
+  return { tags, errors };
+}
+
+/**
+ * Parse a list of people: a string (split at commas or line breaks) or an array of names (API)
+ * Order is kept (first director = main director); duplicates are dropped
+ * @returns {{ people: Array<{ slug: string, name: string }>, errors: string[] }}
+ */
+function parsePeopleInput(input, { label, max }) {
+  if (input != null && !isTextOrTextList(input)) {
+    return { people: [], errors: [`${label}: Namen müssen ein Text oder eine Liste von Texten sein.`] };
+  }
+  
+  const raw = Array.isArray(input) ? input : String(input ?? '').split(/[,\n]/);
+  const people = [];
+  const errors = [];
+  
+  for (const value of raw) {
+    const name = String(value ?? '').replace(/\s+/g, ' ').trim();
+    const slug = slugify(name);
+    if (!slug || people.some((p) => p.slug === slug)) continue;
+    
+    if (name.length > PERSON_NAME_MAX_LENGTH) {
+      errors.push(`${label}: Name "${name.slice(0, 30)}…" ist zu lang (max. ${PERSON_NAME_MAX_LENGTH} Zeichen).`);
+      continue;
+    }
+    if (name.includes(LIST_SEPARATOR)) {
+      errors.push(`${label}: Name "${name}" darf kein "${LIST_SEPARATOR}" enthalten.`);
+      continue;
+    }
+    people.push({ slug, name });
+  }
+  
+  if (people.length > max) errors.push(`${label}: maximal ${max} Personen.`);
+  
+  return { people, errors };
+}
+
+/**
+ * Parse optional movie metadata from form fields or API body
+ * Empty values are stored as null (or an empty list)
+ * @param {Object} input
+ * @param {string|number} input.year - Release year
+ * @param {string|number} input.runtime - Runtime in minutes
+ * @param {string} input.country
+ * @param {string} input.language
+ * @param {string|string[]} input.directors - Comma-separated or list
+ * @param {string|string[]} input.cast - One person per line (or comma-separated) or list
+ * @returns {{ metadata: Object, errors: string[] }}
+ */
+export function parseMetadataInput({ year, runtime, country, language, directors, cast } = {}) {
+  const errors = [];
+  
+  // Optional whole number within [min, max]; null if empty
+  const parseNumber = (value, min, max, message) => {
+    const str = String(value ?? '').trim();
+    if (!str) return null;
+    const n = Number(str);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push(message);
+      return null;
+    }
+    return n;
+  };
+  
+  // Optional single-line text; null if empty
+  const parseText = (value, label) => {
+    const str = String(value ?? '').replace(/\s+/g, ' ').trim();
+    if (str.length > METADATA_TEXT_MAX_LENGTH) {
+      errors.push(`${label} darf max. ${METADATA_TEXT_MAX_LENGTH} Zeichen lang sein.`);
+    }
+    return str || null;
+  };
+  
+  const maxYear = new Date().getFullYear() + RELEASE_YEAR_MAX_AHEAD;
+  const releaseYear = parseNumber(year, RELEASE_YEAR_MIN, maxYear,
+    `Erscheinungsjahr muss zwischen ${RELEASE_YEAR_MIN} und ${maxYear} liegen.`);
+  const runtimeMinutes = parseNumber(runtime, 1, RUNTIME_MAX_MINUTES,
+    `Laufzeit muss zwischen 1 und ${RUNTIME_MAX_MINUTES} Minuten liegen.`);
+  
+  const parsedDirectors = parsePeopleInput(directors, { label: 'Regie', max: DIRECTORS_PER_CONTENT });
+  const parsedCast = parsePeopleInput(cast, { label: 'Besetzung', max: CAST_PER_CONTENT });
+  
+  const metadata = {
+    releaseYear,
+    runtimeMinutes,
+    country: parseText(country, 'Land'),
+    language: parseText(language, 'Sprache'),
+    directors: parsedDirectors.people,
+    cast: parsedCast.people,
+  };
+  
+  return { metadata, errors: [...errors, ...parsedDirectors.errors, ...parsedCast.errors] };
+}
+
+/**
+ * Validate review text
+ * @param {*} body - Anything but a non-blank string counts as missing
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateReviewBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return ['Text ist erforderlich.'];
+  
+  const errors = [];
+  if (body.trim().length > REVIEW_MAX_LENGTH) {
+    errors.push(`Text darf max. ${REVIEW_MAX_LENGTH} Zeichen lang sein.`);
+  }
+  return errors;
+}
+
+/**
+ * Validate category input from the admin UI
+ * @param {Object} input
+ * @param {string} input.label - Display name
+ * @param {string} [input.slug] - URL key (only when creating; derived from the label if empty)
+ * @param {boolean} [isNew] - Whether a new category is created (slug is checked for uniqueness)
+ * @returns {{ errors: string[], slug: string, label: string }}
+ */
+export function validateCategoryInput({ label, slug } = {}, isNew = false) {
+  const errors = [];
+  const validLabel = String(label ?? '').trim();
+  const validSlug = isNew ? slugify(String(slug ?? '').trim() || validLabel) : '';
+  
+  if (!validLabel) errors.push('Bezeichnung ist erforderlich.');
+  if (validLabel.length > CATEGORY_LABEL_MAX_LENGTH) {
+    errors.push(`Bezeichnung darf max. ${CATEGORY_LABEL_MAX_LENGTH} Zeichen lang sein.`);
+  }
+  
+  if (isNew) {
+    if (!validSlug) errors.push('Kürzel ist erforderlich.');
+    else if (validSlug.length > CATEGORY_LABEL_MAX_LENGTH) {
+      errors.push(`Kürzel darf max. ${CATEGORY_LABEL_MAX_LENGTH} Zeichen lang sein.`);
+    } else if (getCategoryBySlug(validSlug)) errors.push(`Die Kategorie "${validSlug}" existiert bereits.`);
+  }
+  
+  return { errors, slug: validSlug, label: validLabel };
+}
+
+/**
+ * Validate a new password and its confirmation
+ * @param {string} password
+ * @param {string} confirm
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateNewPassword(password, confirm) {
+  const errors = [];
+  if (!password) errors.push('Passwort ist erforderlich.');
+  if (password !== confirm) errors.push('Passwörter stimmen nicht überein.');
+  if (password && password.length < 8) errors.push('Passwort muss mind. 8 Zeichen lang sein.');
+  return errors;
+}
+
+/**
+ * Parse pagination params (?page, ?limit, ?cursor)
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {number} options.defaultLimit - Page size when no (valid) limit is given
+ * @param {number} options.maxLimit - Upper bound for ?limit (0 = limit not configurable)
+ * @returns {{ page: number, limit: number, cursor: string|null }}
+ */
+export function parsePagination(query = {}, { defaultLimit, maxLimit = 0 }) {
+  const page = Number(query.page);
+  const limit = Number(query.limit);
+  
+  return {
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+    limit: maxLimit && Number.isInteger(limit) && limit > 0 ? Math.min(limit, maxLimit) : defaultLimit,
+    cursor: typeof query.cursor === 'string' && query.cursor ? query.cursor : null,
+  };
+}
+
+/**
+ * Parse the list query (q/category/author/tag/year/director/sort) the same way for HTML and API
+ * ?year is a single year ("1999") or a range ("1990-1999")
+ * @param {Object} query - req.query (?tag may be repeated)
+ * @returns {{ q: string, category: string, authorId: number|null, tags: string[], year: string,
+ *   yearFrom: number|null, yearTo: number|null, director: string, sort: string }}
+ */
+export function parseListQuery(query = {}) {
+  const { q = '', category = '', author = '', tag = [], year = '', director = '' } = query;
+  
+  // Search term (searches default to relevance order)
+  const validQ = typeof q === 'string' ? q.trim().slice(0, SEARCH_MAX_LENGTH) : '';
+  const { sort = validQ ? 'relevance' : 'newest' } = query;
+  
+  // Validate category
+  const validCategory = typeof category === 'string' && category && getCategoryBySlug(category) ? category : '';
+  
+  // Validate author ID
+  const authorId = Number(author);
+  const validAuthorId = Number.isInteger(authorId) && authorId > 0 ? authorId : null;
+  
+  // Validate tags (slugs, all must match)
+  const validTags = [...new Set([tag].flat().filter((t) => typeof t === 'string' && /^[a-z0-9-]+$/.test(t)))]
+    .slice(0, TAG_FILTER_MAX);
+  
+  // Validate year (single year or range, bounds may be given in any order)
+  const yearMatch = typeof year === 'string' ? year.trim().match(/^(\d{4})(?:\s*-\s*(\d{4}))?$/) : null;
+  const [yearFrom, yearTo] = yearMatch
+    ? [Number(yearMatch[1]), Number(yearMatch[2] ?? yearMatch[1])].sort((a, b) => a - b)
+    : [null, null];
+  const validYear = yearMatch ? (yearFrom === yearTo ? String(yearFrom) : `${yearFrom}-${yearTo}`) : '';
+  
+  // Validate director (person slug)
+  const validDirector = typeof director === 'string' && /^[a-z0-9-]+$/.test(director) ? director : '';
+  
+  // Validate sort
+  let validSort = SORTS.includes(sort) ? sort : 'newest';
+  if (validSort === 'relevance' && !validQ) validSort = 'newest';
+  
+  return {
+    q: validQ,
+    category: validCategory,
+    authorId: validAuthorId,
+    tags: validTags,
+    year: validYear,
+    yearFrom,
+    yearTo,
+    director: validDirector,
+    sort: validSort,
+  };
+}
@@ -0,0 +1,480 @@
+// routes/api.js
+// Versioned JSON API (/api/v1) mirroring the SSR routes
+// All responses are JSON; errors use the shape { error: { status, code, message, details? } }
+
+import express from 'express';
+import multer from 'multer';
+
+import {
+  getAllUsers,
+  getUserById,
+  insertContent,
+  getContentBySlug,
+  getContentById,
+  updateContent,
+  deleteContentById,
+  getLikeCount,
+  hasUserLiked,
+  toggleLike,
+  isFavorite,
+  toggleFavorite,
+  listFavoritesOfUser,
+  listContentsFiltered,
+  getRatingStats,
+  getUserRating,
+  listCategories,
+} from '../db/index.js';
+
+import { uploadImage, uploadWebPath, discardUpload, removeImage } from '../lib/upload.js';
+import {
+  validateContentInput,
+  parseTagInput,
+  parseMetadataInput,
+  parseListQuery,
+  parsePagination,
+} from '../lib/validation.js';
+import { API_PAGE_SIZE, API_MAX_PAGE_SIZE } from '../lib/constants.js';
+import { parseBearer, verifyApiToken } from '../lib/apiTokens.js';
+import { can } from '../lib/permissions.js';
+import { auditContentCreated, auditContentUpdated, auditContentDeleted } from '../lib/audit.js';
+import highlight from '../helpers/highlight.js';
+
+const router = express.Router();
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Send a JSON error response
+ */
+function sendError(res, status, code, message, details) {
+  const error = { status, code, message };
+  if (details) error.details = details;
+  return res.status(status).json({ error });
+}
+
+/**
+ * Public JSON shape of a content entry
+ */
+function toContentJson(item) {
+  return {
+    id: item.id,
+    slug: item.slug,
+    title: item.title,
+    description: item.description,
+    category: item.category,
+    categoryLabel: item.categoryLabel ?? item.category,
+    imagePath: item.imagePath,
+    images: (item.imageVariants ?? []).map(({ name, width, path }) => ({ name, width, url: path })),
+    tags: (item.tags ?? []).map(({ slug, name }) => ({ slug, name })),
+    year: item.releaseYear ?? null,
+    runtime: item.runtimeMinutes ?? null,
+    country: item.country ?? null,
+    language: item.language ?? null,
+    directors: (item.directors ?? []).map(({ slug, name }) => ({ slug, name })),
+    owner: { id: item.ownerId ?? null, name: item.ownerName ?? null },
+    likeCount: item.likeCount ?? getLikeCount(item.id),
+    avgRating: item.avgRating ?? null,
+    ratingCount: item.ratingCount ?? 0,
+    createdAt: item.createdAt,
+  };
+}
+
+/**
+ * Public JSON shape of a content entry including per-user state
+ */
+function toContentDetailJson(item, user) {
+  const rating = getRatingStats(item.id);
+  const json = {
+    ...toContentJson(item),
+    cast: (item.cast ?? []).map(({ slug, name }) => ({ slug, name })),
+    avgRating: rating.average,
+    ratingCount: rating.count,
+    ratingDistribution: rating.distribution.map(({ score, count }) => ({ score, count })),
+  };
+
+  if (user) {
+    json.viewer = {
+      liked: hasUserLiked({ userId: user.id, contentId: item.id }),
+      favorite: isFavorite({ userId: user.id, contentId: item.id }),
+      rating: getUserRating({ userId: user.id, contentId: item.id }),
+      canEdit: can(user, 'content.edit', item),
+      canDelete: can(user, 'content.delete', item),
+    };
+  }
+
+  return json;
+}
+
+// ========================================
+// MIDDLEWARE
+// ========================================
+
+/**
+ * Resolve the API user from an "Authorization: Bearer" token or the session
+ * Sets req.user and req.apiScope ('read' or 'write'); session users always have 'write'
+ */
+async function authenticateApi(req, res, next) {
+  const header = req.get('authorization');
+  
+  if (header) {
+    const token = parseBearer(header);
+    const auth = token ? await verifyApiToken(token) : null;
+    if (!auth) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return sendError(res, 401, 'invalid_token', 'Ungültiges oder abgelaufenes API-Token.');
+    }
+    req.user = auth.user;
+    req.apiScope = auth.scope;
+    return next();
+  }
+  
+  req.user = req.session.user || null;
+  req.apiScope = req.user ? 'write' : null;
+  next();
+}
+
+/**
+ * Require an authenticated user (JSON variant of requireAuth, accepts Bearer tokens)
+ */
+function requireApiAuth(req, res, next) {
+  if (!req.user) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'unauthorized', 'Anmeldung erforderlich.');
+  }
+  next();
+}
+
+/**
+ * Require the API user to be allowed to perform an action (see lib/permissions.js)
+ * Owner-based actions are checked against res.locals.item, so use after loadContent
+ */
+function requireApiPermission(action) {
+  return (req, res, next) => {
+    if (!req.user) return requireApiAuth(req, res, next);
+    if (!can(req.user, action, res.locals.item)) {
+      return sendError(res, 403, 'forbidden', 'Du hast keine Berechtigung für diese Aktion.');
+    }
+    next();
+  };
+}
+
+/**
+ * Require a token with write scope for state-changing requests
+ */
+function requireWriteScope(req, res, next) {
+  if (req.apiScope !== 'write') {
+    return sendError(res, 403, 'insufficient_scope', 'Dieses API-Token erlaubt nur lesenden Zugriff.');
+  }
+  next();
+}
+
+/**
+ * Load content by :slug into res.locals.item or respond with 404
+ */
+function loadContent(req, res, next) {
+  const base = getContentBySlug(req.params.slug);
+  if (!base) {
+    return sendError(res, 404, 'not_found', 'Film nicht gefunden.');
+  }
+  res.locals.item = getContentById(base.id) || base;
+  next();
+}
+
+router.use(authenticateApi);
+
+// ========================================
+// CATEGORIES
+// ========================================
+
+// Active categories in display order
+router.get('/categories', (req, res) => {
+  res.json({
+    data: listCategories().map(({ slug, label }) => ({ slug, label })),
+  });
+});
+
+// ========================================
+// CONTENTS
+// ========================================
+
+// List contents with the same search/filters as GET /content
+// Search results carry an HTML "snippet" with <mark> around the matches
+// Paginated via ?page&limit or keyset ?cursor (from meta.nextCursor)&limit
+router.get('/contents', (req, res) => {
+  const {
+    q, category, authorId, tags, year, yearFrom, yearTo, director, sort,
+  } = parseListQuery(req.query || {});
+  const { page, limit, cursor } = parsePagination(req.query || {}, {
+    defaultLimit: API_PAGE_SIZE,
+    maxLimit: API_MAX_PAGE_SIZE,
+  });
+
+  const { items, total, nextCursor } = listContentsFiltered({
+    category: category || null,
+    ownerId: authorId,
+    tags,
+    yearFrom,
+    yearTo,
+    director: director || null,
+    q: q || null,
+    sort,
+    limit,
+    page,
+    cursor,
+  });
+
+  res.json({
+    data: items.map((item) => {
+      const json = toContentJson(item);
+      if (q) json.snippet = highlight(item.snippet);
+      return json;
+    }),
+    meta: {
+      count: items.length,
+      total,
+      limit,
+      page: cursor ? null : page,
+      pageCount: Math.max(1, Math.ceil(total / limit)),
+      nextCursor,
+      filters: {
+        q: q || null,
+        category: category || null,
+        author: authorId,
+        tags,
+        year: year || null,
+        director: director || null,
+        sort,
+      },
+    },
+  });
+});
+
+// Content detail by slug
+router.get('/contents/:slug', loadContent, (req, res) => {
+  res.json({ data: toContentDetailJson(res.locals.item, req.user) });
+});
+
+// Create content (multipart/form-data with "image")
+router.post('/contents', requireApiAuth, requireWriteScope, requireApiPermission('content.create'), uploadImage, (req, res) => {
+  const { title, description, category } = req.body || {};
+  const { tags, errors: tagErrors } = parseTagInput(req.body?.tags);
+  const { metadata, errors: metadataErrors } = parseMetadataInput(req.body || {});
+  const errors = [
+    ...validateContentInput(
+      { title, description, category },
+      { requireImage: true, hasImage: !!req.file }
+    ),
+    ...metadataErrors,
+    ...tagErrors,
+  ];
+
+  if (errors.length) {
+    discardUpload(req.file);
+    return sendError(res, 422, 'validation_failed', 'Ungültige Eingabe.', errors);
+  }
+
+  const id = insertContent({
+    title: title.trim(),
+    description: description.trim(),
+    category,
+    imagePath: uploadWebPath(req.file),
+    imageVariants: req.file.variants,
+    ownerId: req.user.id,
+    tags,
+    ...metadata,
+  });
+
+  const item = getContentById(id);
+  auditContentCreated(req, item);
+  res.status(201).location(`/api/v1/contents/${item.slug}`).json({ data: toContentDetailJson(item, req.user) });
+});
+
+// Update content (partial; optional new "image")
+// Existence and permission are checked before uploadImage, so refused requests store no files
+router.patch(
+  '/contents/:slug',
+  requireApiAuth,
+  requireWriteScope,
+  loadContent,
+  requireApiPermission('content.edit'),
+  uploadImage,
+  async (req, res) => {
+    const { item } = res.locals;
+    const body = req.body || {};
+    const merged = {
+      title: body.title ?? item.title,
+      description: body.description ?? item.description,
+      category: body.category ?? item.category,
+    };
+
+    // Fields that are not sent keep their value; an empty value clears them
+    const { metadata, errors: metadataErrors } = parseMetadataInput({
+      year: body.year ?? item.releaseYear,
+      runtime: body.runtime ?? item.runtimeMinutes,
+      country: body.country ?? item.country,
+      language: body.language ?? item.language,
+      directors: body.directors ?? item.directors.map((p) => p.name),
+      cast: body.cast ?? item.cast.map((p) => p.name),
+    });
+
+    // Tags are only replaced if the field is sent (an empty value removes all)
+    const tagInput = body.tags !== undefined ? parseTagInput(body.tags) : null;
+
+    const errors = [
+      ...validateContentInput(merged, { currentCategory: item.category }),
+      ...metadataErrors,
+      ...(tagInput?.errors ?? []),
+    ];
+    if (errors.length) {
+      discardUpload(req.file);
+      return sendError(res, 422, 'validation_failed', 'Ungültige Eingabe.', errors);
+    }
+
+    const newImagePath = req.file ? uploadWebPath(req.file) : null;
+
+    updateContent({
+      id: item.id,
+      title: merged.title.trim(),
+      description: merged.description.trim(),
+      category: merged.category,
+      imagePath: newImagePath || undefined,
+      imageVariants: req.file?.variants,
+      tags: tagInput?.tags,
+      ...metadata,
+    });
+    const updated = getContentById(item.id);
+    auditContentUpdated(req, item, updated);
+
+    // Delete old image if replaced
+    if (newImagePath) await removeImage(item.imagePath);
+
+    res.json({ data: toContentDetailJson(updated, req.user) });
+  }
+);
+
+// Delete content
+router.delete('/contents/:slug', requireApiAuth, requireWriteScope, loadContent, requireApiPermission('content.delete'), async (req, res) => {
+  deleteContentById(res.locals.item.id);
+  auditContentDeleted(req, res.locals.item);
+  await removeImage(res.locals.item.imagePath);
+  res.status(204).end();
+});
+
+// ========================================
+// LIKES & FAVORITES
+// ========================================
+
+/**
+ * Bring the like relation into the requested state
+ */
+function setLiked({ userId, contentId }, liked) {
+  if (hasUserLiked({ userId, contentId }) !== liked) toggleLike({ userId, contentId });
+  return { liked, likeCount: getLikeCount(contentId) };
+}
+
+/**
+ * Bring the favorite relation into the requested state
+ */
+function setFavorite({ userId, contentId }, favorite) {
+  if (isFavorite({ userId, contentId }) !== favorite) toggleFavorite({ userId, contentId });
+  return { favorite };
+}
+
+// Like content
+router.put('/contents/:slug/like', requireApiAuth, requireWriteScope, loadContent, (req, res) => {
+  res.json({ data: setLiked({ userId: req.user.id, contentId: res.locals.item.id }, true) });
+});
+
+// Remove like
+router.delete('/contents/:slug/like', requireApiAuth, requireWriteScope, loadContent, (req, res) => {
+  res.json({ data: setLiked({ userId: req.user.id, contentId: res.locals.item.id }, false) });
+});
+
+// Add to favorites
+router.put('/contents/:slug/favorite', requireApiAuth, requireWriteScope, loadContent, (req, res) => {
+  res.json({ data: setFavorite({ userId: req.user.id, contentId: res.locals.item.id }, true) });
+});
+
+// Remove from favorites
+router.delete('/contents/:slug/favorite', requireApiAuth, requireWriteScope, loadContent, (req, res) => {
+  res.json({ data: setFavorite({ userId: req.user.id, contentId: res.locals.item.id }, false) });
+});
+
+// Favorites of the current user
+router.get('/me/favorites', requireApiAuth, (req, res) => {
+  const { page, limit } = parsePagination(req.query || {}, {
+    defaultLimit: API_PAGE_SIZE,
+    maxLimit: API_MAX_PAGE_SIZE,
+  });
+  const { items, total } = listFavoritesOfUser(req.user.id, { limit, page });
+  res.json({
+    data: items.map(toContentJson),
+    meta: { count: items.length, total, limit, page, pageCount: Math.max(1, Math.ceil(total / limit)) },
+  });
+});
+
+// ========================================
+// USERS
+// ========================================
+
+// Current user
+router.get('/me', requireApiAuth, (req, res) => {
+  const user = getUserById(req.user.id);
+  if (!user) return sendError(res, 404, 'not_found', 'Benutzer nicht gefunden.');
+  res.json({ data: user });
+});
+
+// Users list (admin only, same as GET /users)
+router.get('/users', requireApiPermission('users.manage'), (req, res) => {
+  const users = getAllUsers();
+  res.json({ data: users, meta: { count: users.length } });
+});
+
+// Single user (admin only)
+router.get('/users/:id', requireApiPermission('users.manage'), (req, res) => {
+  const user = getUserById(Number(req.params.id));
+  if (!user) return sendError(res, 404, 'not_found', 'Benutzer nicht gefunden.');
+  res.json({ data: user });
+});
+
+// ========================================
+// ERROR HANDLERS
+// ========================================
+
+// 404 for unknown API routes
+router.use((req, res) => {
+  sendError(res, 404, 'not_found', 'Unbekannter API-Endpunkt.');
+});
+
+/**
+ * Error handler (upload errors, malformed JSON, unexpected errors)
+ * Also mounted on /api in app.js for errors raised before the router (body parsing)
+ */
+export function apiErrorHandler(err, req, res, next) {
+  discardUpload(req.file);
+
+  if (err instanceof multer.MulterError) {
+    return sendError(res, 400, 'upload_failed', err.message);
+  }
+  if (err.code === 'INVALID_FILE_TYPE') {
+    return sendError(res, 415, 'unsupported_media_type', err.message);
+  }
+  if (err.code === 'EBADCSRFTOKEN') {
+    return sendError(res, 403, 'csrf_failed', 'Anfragen mit dem Session-Cookie brauchen den Header X-CSRF-Token.');
+  }
+  if (err.code === 'INVALID_CURSOR') {
+    return sendError(res, 400, 'invalid_cursor', err.message);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'bad_request', 'Ungültiges JSON.');
+  }
+
+  console.error('[api] Fehler:', err);
+  sendError(res, 500, 'internal_error', 'Ein unerwarteter Fehler ist aufgetreten.');
+}
+
+router.use(apiErrorHandler);
+
+export default router;
@@ -0,0 +1,95 @@
+// scripts/backup.js
+// Maintenance command: back up and restore the database and the upload files (see lib/backup.js)
+//
+// Usage: npm run backup -- <command>
+//   create (default)                      make a backup (the app may keep running), then apply BACKUP_KEEP
+//   list                                  list all backups, newest first
+//   verify <name>                         check checksums and database integrity of a backup
+//   restore <name> [--target=<file>] [--no-uploads]
+//                                         restore into a fresh database (default: DB_FILE) – stop the app first!
+//   prune [--keep=<n>]                    delete all but the newest n backups (default: BACKUP_KEEP)
+//
+// Exit code 1 if the command fails (e.g. a backup does not pass verification), 2 on invalid arguments
+
+import 'dotenv/config';
+
+import { createBackup, listBackups, verifyBackup, restoreBackup, pruneBackups, backupDir } from '../lib/backup.js';
+
+const USAGE = [
+  'Aufruf: npm run backup -- create',
+  '        npm run backup -- list',
+  '        npm run backup -- verify <Name>',
+  '        npm run backup -- restore <Name> [--target=<Datei>] [--no-uploads]',
+  '        npm run backup -- prune [--keep=<n>]',
+].join('\n');
+
+function parseArgs(argv) {
+  const [command = 'create', ...rest] = argv;
+  const options = { command, name: null, target: undefined, uploads: true, keep: undefined };
+
+  for (const arg of rest) {
+    if (!arg.startsWith('--') && !options.name && ['verify', 'restore'].includes(command)) options.name = arg;
+    else if (/^--target=.+$/.test(arg) && command === 'restore') options.target = arg.slice('--target='.length);
+    else if (arg === '--no-uploads' && command === 'restore') options.uploads = false;
+    else if (/^--keep=\d+$/.test(arg) && command === 'prune') options.keep = Number(arg.split('=')[1]);
+    else return null;
+  }
+
+  if (!['create', 'list', 'verify', 'restore', 'prune'].includes(command)) return null;
+  if (['verify', 'restore'].includes(command) && !options.name) return null;
+  return options;
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+try {
+  if (options.command === 'create') {
+    const { name, manifest, pruned } = await createBackup();
+    console.log(`Backup ${name} erstellt in ${backupDir()}`);
+    console.log(`  Datenbank: ${formatSize(manifest.database.size)}, Schema-Version ${manifest.schemaVersion ?? '–'}`);
+    console.log(manifest.uploads
+      ? `  Uploads:   ${manifest.uploads.files} Datei(en), ${formatSize(manifest.uploads.size)}`
+      : `  Uploads:   nicht enthalten (STORAGE_DRIVER=${manifest.storage})`);
+    for (const p of pruned) console.log(`  Altes Backup gelöscht: ${p}`);
+  } else if (options.command === 'list') {
+    const backups = listBackups();
+    console.log(`${backups.length} Backup(s) in ${backupDir()}`);
+    for (const b of backups) {
+      const files = b.uploads ? `${b.uploads.files} Upload(s)` : 'ohne Uploads';
+      console.log(`  ${b.name}  ${formatSize(b.size).padStart(9)}  Schema ${b.schemaVersion ?? '–'}  ${files}`);
+    }
+  } else if (options.command === 'verify') {
+    const { errors } = await verifyBackup(options.name);
+    if (errors.length) {
+      console.error(`Backup ${options.name} ist fehlerhaft:`);
+      for (const e of errors) console.error(`  ${e}`);
+      process.exit(1);
+    }
+    console.log(`Backup ${options.name} ist in Ordnung.`);
+  } else if (options.command === 'restore') {
+    const { target, previous, uploadsRestored } = await restoreBackup(options.name, {
+      target: options.target,
+      uploads: options.uploads,
+    });
+    console.log(`Backup ${options.name} wiederhergestellt nach ${target}`);
+    if (previous) console.log(`  Bisherige Datenbank: ${previous}`);
+    console.log(`  ${uploadsRestored} Upload-Datei(en) wiederhergestellt`);
+    console.log('  Ausstehende Migrationen werden beim nächsten Start angewendet.');
+  } else if (options.command === 'prune') {
+    const pruned = pruneBackups(options.keep === undefined ? {} : { keep: options.keep });
+    console.log(`${pruned.length} Backup(s) gelöscht`);
+    for (const p of pruned) console.log(`  ${p}`);
+  }
+} catch (err) {
+  if (!err.code?.startsWith('BACKUP_')) throw err;
+  console.error(err.message);
+  process.exit(1);
+}
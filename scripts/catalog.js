@@ -0,0 +1,103 @@
+// scripts/catalog.js
+// Maintenance command: export or import the movie catalogue as JSON or CSV
+//
+// Usage:
+//   npm run catalog -- export [--format=json|csv] [--out=<file>]
+//     --out defaults to katalog-<date>.<format>
+//   npm run catalog -- import <file> [--dry-run] [--owner=<email>] [--format=json|csv]
+//     --dry-run        only validate, nothing is written
+//     --owner=<email>  owner of rows without ownerEmail (otherwise those rows are rejected)
+//     --format         defaults to the file extension
+//
+// Relative paths are resolved against the directory npm was started in
+//
+// Exit code 1 if rows were rejected, 2 on invalid arguments or an unreadable file
+
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { CATALOG_FORMATS, exportCatalog, importCatalog, detectCatalogFormat } from '../lib/catalog.js';
+import { getUserByEmail } from '../db/index.js';
+import { CLI_CONTEXT } from '../lib/audit.js';
+
+const USAGE = [
+  'Aufruf: npm run catalog -- export [--format=json|csv] [--out=<Datei>]',
+  '        npm run catalog -- import <Datei> [--dry-run] [--owner=<E-Mail>] [--format=json|csv]',
+].join('\n');
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!['export', 'import'].includes(command)) return null;
+
+  const options = { command, file: null, format: null, out: null, owner: null, dryRun: false };
+  for (const arg of rest) {
+    const [, key, value] = /^--([a-z-]+)(?:=(.*))?$/.exec(arg) || [];
+    if (!key && !options.file && command === 'import') options.file = arg;
+    else if (key === 'format' && CATALOG_FORMATS.includes(value)) options.format = value;
+    else if (key === 'out' && value && command === 'export') options.out = value;
+    else if (key === 'owner' && value && command === 'import') options.owner = value;
+    else if (key === 'dry-run' && value === undefined && command === 'import') options.dryRun = true;
+    else return null;
+  }
+  if (command === 'import' && !options.file) return null;
+  return options;
+}
+
+// npm runs scripts in the project directory; INIT_CWD is where it was called
+const resolvePath = (file) => path.resolve(process.env.INIT_CWD || process.cwd(), file);
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options) fail(USAGE);
+
+if (options.command === 'export') {
+  const { body, count, filename } = exportCatalog(options.format || 'json');
+  const out = resolvePath(options.out || filename);
+  fs.writeFileSync(out, body);
+  console.log(`${count} Film(e) exportiert nach ${out}`);
+  process.exit(0);
+}
+
+let defaultOwnerId = null;
+if (options.owner) {
+  const owner = getUserByEmail(options.owner.trim().toLowerCase());
+  if (!owner) fail(`Unbekannter Besitzer: ${options.owner}`);
+  defaultOwnerId = owner.id;
+}
+
+let text;
+try {
+  text = fs.readFileSync(resolvePath(options.file), 'utf8');
+} catch (err) {
+  fail(`Datei kann nicht gelesen werden: ${err.message}`);
+}
+
+let report;
+try {
+  report = await importCatalog({
+    text,
+    format: options.format || detectCatalogFormat(text, options.file),
+    defaultOwnerId,
+    dryRun: options.dryRun,
+    auditAs: CLI_CONTEXT,
+  });
+} catch (err) {
+  if (err.code !== 'INVALID_CATALOG') throw err;
+  fail(err.message);
+}
+
+const verb = report.dryRun ? 'gültig (Probelauf, nichts gespeichert)' : 'importiert';
+console.log(`${report.imported.length} von ${report.total} Datensätzen ${verb}`);
+for (const r of report.imported) console.log(`  #${r.row} ${r.title}${r.slug ? ` -> ${r.slug}` : ''}`);
+
+if (report.errors.length) {
+  console.log(`\nFehlerhafte Datensätze (übersprungen): ${report.errors.length}`);
+  for (const r of report.errors) console.log(`  #${r.row} ${r.title || '(ohne Titel)'}: ${r.errors.join(' ')}`);
+}
+
+process.exit(report.errors.length ? 1 : 0);
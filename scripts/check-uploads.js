@@ -0,0 +1,57 @@
+// scripts/check-uploads.js
+// Maintenance command: find upload files not referenced by any content and contents whose files are missing
+//
+// Usage: npm run uploads:check -- [--delete] [--min-age=<minutes>]
+//   (default)        dry run: only report, nothing is changed
+//   --delete         delete the orphaned files
+//   --min-age=<min>  ignore files younger than this (default: ORPHAN_MIN_AGE_MINUTES)
+//
+// Exit code 1 if inconsistencies remain (orphans not deleted, missing files), 2 on invalid arguments
+
+import 'dotenv/config';
+
+import { checkUploads, deleteOrphans } from '../lib/uploadCheck.js';
+import { getStorage } from '../lib/storage.js';
+import { ORPHAN_MIN_AGE_MINUTES } from '../lib/constants.js';
+
+function parseArgs(argv) {
+  const options = { delete: false, minAgeMinutes: ORPHAN_MIN_AGE_MINUTES };
+  for (const arg of argv) {
+    if (arg === '--delete') options.delete = true;
+    else if (arg === '--dry-run') options.delete = false;
+    else if (/^--min-age=\d+$/.test(arg)) options.minAgeMinutes = Number(arg.split('=')[1]);
+    else return null;
+  }
+  return options;
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!options) {
+  console.error('Aufruf: npm run uploads:check -- [--dry-run | --delete] [--min-age=<Minuten>]');
+  process.exit(2);
+}
+
+const { files, orphans, missing } = await checkUploads({ minAgeMinutes: options.minAgeMinutes });
+console.log(`Speicher: ${getStorage().name}, ${files} Datei(en)${options.delete ? '' : ' (Probelauf)'}`);
+
+console.log(`\nVerwaiste Dateien (älter als ${options.minAgeMinutes} min): ${orphans.length}`);
+for (const f of orphans) console.log(`  ${f.key}  ${formatSize(f.size)}`);
+
+let remaining = orphans.length;
+if (options.delete && orphans.length) {
+  const { deleted, failed } = await deleteOrphans(orphans);
+  console.log(`  -> ${deleted.length} gelöscht`);
+  for (const f of failed) console.log(`  -> Fehler bei ${f.key}: ${f.error}`);
+  remaining = failed.length;
+} else if (orphans.length) {
+  console.log('  -> Mit --delete löschen.');
+}
+
+console.log(`\nFilme mit fehlenden Dateien: ${missing.length}`);
+for (const m of missing) console.log(`  #${m.id} ${m.slug}: ${m.keys.join(', ')}`);
+
+process.exit(remaining || missing.length ? 1 : 0);
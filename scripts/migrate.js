@@ -0,0 +1,80 @@
+// scripts/migrate.js
+// Maintenance command: apply, revert and list schema migrations (db/migrations)
+//
+// Usage: npm run migrate -- <status|up|down> [options]
+//   status              list all migrations and whether they are applied (default)
+//   up [--to=<n>]       apply pending migrations (up to version n)
+//   down [--steps=<n>]  revert the latest n migrations (default: 1)
+//   down --to=<n>       revert all migrations above version n (irreversible ones stop the command)
+//
+// Exit code 1 if a migration fails or (for status) migrations are pending or missing, 2 on invalid arguments
+
+import 'dotenv/config';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+
+import { dbMode, resolveDbPath, configureConnection } from '../db/connection.js';
+import { loadMigrations, getMigrationStatus, migrateUp, migrateDown } from '../db/migrator.js';
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  if (!['status', 'up', 'down'].includes(command)) return null;
+
+  const options = { command, to: null, steps: null };
+  for (const arg of rest) {
+    const [, key, value] = /^--(to|steps)=(\d+)$/.exec(arg) || [];
+    if (!key || (key === 'steps' && command !== 'down') || command === 'status') return null;
+    options[key] = Number(value);
+  }
+  if (options.to !== null && options.steps !== null) return null;
+  return options;
+}
+
+const pad = (version) => String(version).padStart(3, '0');
+
+const options = parseArgs(process.argv.slice(2));
+if (!options) {
+  console.error('Aufruf: npm run migrate -- status | up [--to=<n>] | down [--steps=<n> | --to=<n>]');
+  process.exit(2);
+}
+
+if (dbMode() === 'memory') {
+  console.error('Mit DB_MODE=memory wird das Schema bei jedem Start neu angelegt – nichts zu migrieren.');
+  process.exit(2);
+}
+
+const dbPath = resolveDbPath();
+console.log(`Datenbank: ${path.resolve(dbPath)}`);
+
+const db = new Database(dbPath);
+configureConnection(db);
+const migrations = await loadMigrations();
+
+try {
+  if (options.command === 'up') {
+    const applied = migrateUp(db, migrations, { to: options.to ?? Infinity });
+    if (!applied.length) console.log('Keine ausstehenden Migrationen.');
+  } else if (options.command === 'down') {
+    const reverted = migrateDown(db, migrations, { steps: options.steps ?? 1, to: options.to });
+    if (!reverted.length) console.log('Keine Migrationen rückgängig zu machen.');
+  }
+} catch (err) {
+  db.close();
+  console.error(err.message);
+  process.exit(1);
+}
+
+const status = getMigrationStatus(db, migrations);
+db.close();
+
+console.log('');
+for (const m of status) {
+  const state = m.missing ? 'DATEI FEHLT' : m.appliedAt ? `angewendet ${m.appliedAt}` : 'ausstehend';
+  console.log(`  ${pad(m.version)}_${m.name.padEnd(24)} ${state}${m.irreversible ? ' (nicht umkehrbar)' : ''}`);
+}
+
+const pending = status.filter((m) => !m.appliedAt).length;
+const missing = status.filter((m) => m.missing).length;
+console.log(`\n${status.length - pending - missing} angewendet, ${pending} ausstehend${missing ? `, ${missing} ohne Datei` : ''}`);
+
+process.exit(options.command === 'status' && (pending || missing) ? 1 : 0);